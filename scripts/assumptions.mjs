@@ -0,0 +1,134 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Deterministic "open assumption" detection: graph rules that flag claims the extracted KG leaves unsupported,
+// e.g. an Outcome nothing supports or a causal edge with no mechanism. Runs on the validated graph, no model call.
+// A rule is data:
+//   node rule: { id, type, severity, description, node: 'Outcome', requires: { edge, direction, types } }
+//              fires for every node of that type without a matching edge
+//   edge rule: { id, type, severity, description, edge: 'causes', requires: { types, near } }
+//              fires for every such edge without a node of `types` linked to its source/target (near: source | target | either | both)
+// `requires.edge` and `types` may be a string or a list; omitted means any. `direction` is in | out | any (default any).
+
+export const ASSUMPTION_SEVERITIES = ['warning', 'info'];
+
+export const ASSUMPTION_RULES = [
+  {
+    id: 'outcome-without-evidence',
+    type: 'unsupported_outcome',
+    severity: 'warning',
+    description: 'Outcome with no supporting Evidence',
+    node: 'Outcome',
+    requires: { edge: 'supports', direction: 'in', types: ['Evidence'] }
+  },
+  {
+    id: 'intervention-without-target',
+    type: 'untargeted_intervention',
+    severity: 'warning',
+    description: 'Intervention that treats nothing in the graph',
+    node: 'Intervention',
+    requires: { edge: 'treats', direction: 'out' }
+  },
+  {
+    id: 'medication-without-population',
+    type: 'unassigned_medication',
+    severity: 'info',
+    description: 'Medication not administered to any Population',
+    node: 'Medication',
+    // Extractions write either "Ava administered_to Albuterol" or the reverse, so both directions count
+    requires: { edge: 'administered_to', direction: 'any', types: ['Population'] }
+  },
+  {
+    id: 'causal-claim-without-mechanism',
+    type: 'unexplained_causal_claim',
+    severity: 'warning',
+    description: 'causes edge with no Mechanism linked to either end',
+    edge: 'causes',
+    requires: { types: ['Mechanism'], near: 'either' }
+  },
+  {
+    id: 'intervention-without-guideline',
+    type: 'unsupported_intervention',
+    severity: 'info',
+    description: 'Intervention not supported by Evidence or a Guideline',
+    node: 'Intervention',
+    requires: { edge: 'supports', direction: 'in', types: ['Evidence', 'Guideline'] }
+  }
+];
+
+const asList = (value) => (value == null ? null : [].concat(value).map(String));
+
+// Rules file (ASSUMPTION_RULES_FILE): [rule, ...] or { rules: [...] }. A rule with a default id overrides its fields
+// (e.g. { "id": "medication-without-population", "enabled": false }); other ids are added.
+export async function loadAssumptionRules(file = process.env.ASSUMPTION_RULES_FILE){
+  if (!file) return ASSUMPTION_RULES;
+  const raw = JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+  const custom = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(custom)) throw new Error(`Assumption rules file ${file} has no rules array`);
+  const byId = new Map(ASSUMPTION_RULES.map(r => [r.id, r]));
+  for (const rule of custom) {
+    if (!rule?.id) throw new Error(`Assumption rule without id in ${file}`);
+    byId.set(rule.id, { ...(byId.get(rule.id) || {}), ...rule });
+  }
+  return [...byId.values()];
+}
+
+function checkRule(rule){
+  if (!rule.node === !rule.edge) throw new Error(`Assumption rule ${rule.id}: set exactly one of node or edge`);
+  if (!ASSUMPTION_SEVERITIES.includes(rule.severity || 'warning')) throw new Error(`Assumption rule ${rule.id}: unknown severity ${rule.severity}`);
+}
+
+// kg: validated graph; rules: from loadAssumptionRules (default ASSUMPTION_RULES).
+// Returns { rules, counts, items: [{ id, rule, type, severity, message, node_id | edge }] }
+export function detectAssumptions(kg, rules = ASSUMPTION_RULES){
+  const nodes = Array.isArray(kg?.nodes) ? kg.nodes.filter(n => n && typeof n === 'object') : [];
+  const edges = Array.isArray(kg?.edges) ? kg.edges.filter(e => e && typeof e === 'object') : [];
+  const byId = new Map(nodes.map(n => [String(n.id), n]));
+  const active = rules.filter(r => r && r.enabled !== false);
+  active.forEach(checkRule);
+
+  const items = [];
+  const add = (rule, item) => items.push({ id: '', rule: rule.id, type: rule.type || rule.id, severity: rule.severity || 'warning', ...item });
+
+  for (const rule of active) {
+    const req = rule.requires || {};
+    const edgeTypes = asList(req.edge);
+    const types = asList(req.types);
+    if (rule.node) {
+      const direction = req.direction || 'any';
+      for (const node of nodes.filter(n => n.type === rule.node)) {
+        const id = String(node.id);
+        const found = edges.some(e => {
+          if (edgeTypes && !edgeTypes.includes(e.type)) return false;
+          const out = String(e.source) === id && direction !== 'in' ? e.target : null;
+          const incoming = String(e.target) === id && direction !== 'out' ? e.source : null;
+          return [out, incoming].some(other => other != null && (!types || types.includes(byId.get(String(other))?.type)));
+        });
+        if (!found) add(rule, { node_id: id, message: `${rule.description}: "${node.label}"` });
+      }
+    } else {
+      const near = req.near || 'either';
+      const linked = (id) => edges.some(e => {
+        const other = String(e.source) === id ? e.target : String(e.target) === id ? e.source : null;
+        return other != null && (!edgeTypes || edgeTypes.includes(e.type)) && (!types || types.includes(byId.get(String(other))?.type));
+      });
+      for (const edge of edges.filter(e => e.type === rule.edge)) {
+        const source = byId.get(String(edge.source));
+        const target = byId.get(String(edge.target));
+        if (!source || !target) continue;
+        const atSource = linked(String(edge.source));
+        const atTarget = linked(String(edge.target));
+        const ok = near === 'source' ? atSource : near === 'target' ? atTarget : near === 'both' ? atSource && atTarget : atSource || atTarget;
+        if (!ok) add(rule, { edge: { source: String(edge.source), type: edge.type, target: String(edge.target) }, message: `${rule.description}: "${source.label}" → "${target.label}"` });
+      }
+    }
+  }
+  items.sort((a, b) => ASSUMPTION_SEVERITIES.indexOf(a.severity) - ASSUMPTION_SEVERITIES.indexOf(b.severity));
+  items.forEach((item, i) => { item.id = `A${i + 1}`; });
+
+  return {
+    rules: active.map(r => r.id),
+    counts: Object.fromEntries(ASSUMPTION_SEVERITIES.map(s => [s, items.filter(i => i.severity === s).length])),
+    items
+  };
+}
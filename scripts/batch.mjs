@@ -0,0 +1,271 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { extractToKg } from './extract.mjs';
+import { getProvider } from './providers.mjs';
+import { cacheMode } from './cache.mjs';
+import { parseFhirText, normalizeFhir, selectPatientChart } from './fhir-import.mjs';
+
+// Batch extraction: one KG per transcript in a directory or glob, plus a manifest.json describing the run.
+//   node scripts/batch.mjs inputs/ --out data/batch --concurrency 2 --retries 2
+//   node scripts/batch.mjs "inputs/**/*.txt" --chart data/fhir.json
+// Re-running with the same --out resumes: files already extracted from unchanged input are skipped (--force redoes all).
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const INPUT_EXT = /\.(txt|md|vtt|srt)$/i;
+export const MANIFEST_FILE = 'manifest.json';
+
+function globToRegExp(pattern){
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      re += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+async function walk(dir, recursive){
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && recursive) out.push(...await walk(full, true));
+    else if (entry.isFile()) out.push(full);
+  }
+  return out;
+}
+
+// Input files for a directory (its .txt/.md/.vtt/.srt transcripts), a single file, or a glob (*, ?, **); sorted.
+// Returns { base, files } where output paths mirror each file's path relative to base.
+export async function resolveInputs(spec){
+  const abs = path.resolve(String(spec || ''));
+  const stat = await fs.stat(abs).catch(() => null);
+  if (stat?.isDirectory()) return { base: abs, files: (await walk(abs, false)).filter(f => INPUT_EXT.test(f)).sort() };
+  if (stat?.isFile()) return { base: path.dirname(abs), files: [abs] };
+
+  const parts = abs.split(path.sep);
+  const first = parts.findIndex(p => /[*?]/.test(p));
+  if (first < 0) throw new Error(`No such file or directory: ${spec}`);
+  const base = parts.slice(0, first).join(path.sep) || path.sep;
+  const matcher = globToRegExp(parts.slice(first).join('/'));
+  const recursive = parts.slice(first).includes('**') || first < parts.length - 1;
+  const files = (await walk(base, recursive).catch(() => []))
+    .filter(f => matcher.test(path.relative(base, f).split(path.sep).join('/')))
+    .sort();
+  return { base, files };
+}
+
+async function readManifest(file){
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function hashText(text){
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function totals(files){
+  const counts = { ok: 0, failed: 0, pending: 0 };
+  const usage = { calls: 0, input_tokens: 0, output_tokens: 0 };
+  for (const f of files) {
+    counts[f.status] = (counts[f.status] || 0) + 1;
+    usage.calls += f.usage?.calls || 0;
+    usage.input_tokens += f.usage?.input_tokens || 0;
+    usage.output_tokens += f.usage?.output_tokens || 0;
+  }
+  return { files: files.length, ...counts, usage };
+}
+
+// Counts tokens of every call (retries included) on top of the configured provider
+function countingProvider(spec, usage){
+  const provider = getProvider(spec);
+  return {
+    name: provider.name,
+    async generate(request){
+      const resp = await provider.generate(request);
+      usage.calls++;
+      usage.input_tokens += resp?.usage?.input_tokens || 0;
+      usage.output_tokens += resp?.usage?.output_tokens || 0;
+      return resp;
+    }
+  };
+}
+
+// opts: { input, out, concurrency, retries, retryDelayMs, force, model, chart, provider, log }
+// Returns the manifest; it is also rewritten after every file so an interrupted run can be resumed.
+export async function runBatch(opts = {}){
+  const outDir = path.resolve(opts.out || path.join(ROOT, 'data', 'batch'));
+  const manifestPath = path.join(outDir, MANIFEST_FILE);
+  const concurrency = Math.max(1, Number(opts.concurrency) || 2);
+  const retries = Math.max(0, Number.isFinite(Number(opts.retries)) ? Number(opts.retries) : 2);
+  const retryDelayMs = Math.max(0, Number.isFinite(Number(opts.retryDelayMs)) ? Number(opts.retryDelayMs) : 1000);
+  const model = (opts.model || process.env.MODEL || 'gpt-4o-mini').trim();
+  const log = typeof opts.log === 'function' ? opts.log : () => {};
+
+  const { base, files } = await resolveInputs(opts.input);
+  if (!files.length) throw new Error(`No input files match ${opts.input}`);
+
+  const previous = opts.force ? null : await readManifest(manifestPath);
+  const previousByInput = new Map((previous?.files || []).map(f => [f.input, f]));
+  const now = new Date().toISOString();
+  const manifest = {
+    created_at: previous?.created_at || now,
+    updated_at: now,
+    input: String(opts.input),
+    model,
+    settings: { concurrency, retries },
+    totals: null,
+    files: []
+  };
+
+  for (const file of files) {
+    const relative = path.relative(ROOT, file);
+    const input = relative.startsWith('..') ? file : relative.split(path.sep).join('/');
+    const output = path.relative(base, file).replace(INPUT_EXT, '').split(path.sep).join('/') + '.json';
+    const text = await fs.readFile(file, 'utf8');
+    const entry = { input, output, input_hash: hashText(text), status: 'pending' };
+    const done = previousByInput.get(input);
+    const outputExists = await fs.stat(path.join(outDir, output)).then(() => true, () => false);
+    // Resume: keep finished entries whose input did not change
+    if (done?.status === 'ok' && done.input_hash === entry.input_hash && done.output === output && outputExists) {
+      manifest.files.push({ ...done, resumed: true });
+    } else {
+      manifest.files.push(entry);
+    }
+  }
+
+  let writing = Promise.resolve();
+  const saveManifest = () => {
+    manifest.updated_at = new Date().toISOString();
+    manifest.totals = totals(manifest.files);
+    const snapshot = JSON.stringify(manifest, null, 2);
+    writing = writing.then(async () => {
+      await fs.mkdir(outDir, { recursive: true });
+      await fs.writeFile(manifestPath, snapshot);
+    });
+    return writing;
+  };
+  await saveManifest();
+
+  const queue = manifest.files.filter(f => f.status !== 'ok');
+  log(`${files.length} inputs, ${files.length - queue.length} already done, ${queue.length} to extract (concurrency ${concurrency})`);
+
+  async function processEntry(entry){
+    const text = await fs.readFile(path.resolve(ROOT, entry.input), 'utf8');
+    const usage = { calls: 0, input_tokens: 0, output_tokens: 0 };
+    const provider = countingProvider(opts.provider, usage);
+    const started = Date.now();
+    entry.started_at = new Date(started).toISOString();
+    delete entry.resumed;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const validationErrors = [];
+      entry.attempts = attempt;
+      try {
+        const kg = await extractToKg(text, {
+          model,
+          provider,
+          baseDir: ROOT,
+          outputPath: path.join(outDir, entry.output),
+          filename: entry.input,
+          chartContext: opts.chart || undefined,
+          // A cached response may be what failed; retries go to the model again
+          cache: attempt > 1 && cacheMode() === 'read-through' ? 'record' : undefined,
+          onProgress: (event, data) => {
+            if (event === 'validation' && data?.ok === false) validationErrors.push(data.error);
+          }
+        });
+        Object.assign(entry, {
+          status: 'ok',
+          model,
+          nodes: Array.isArray(kg?.nodes) ? kg.nodes.length : 0,
+          edges: Array.isArray(kg?.edges) ? kg.edges.length : 0,
+          validation_errors: [],
+          hallucinated_spans: kg?.span_check?.hallucinated?.length || 0,
+          clinical_issues: kg?.validations?.counts || null,
+          error: null
+        });
+        break;
+      } catch (e) {
+        Object.assign(entry, {
+          status: 'failed',
+          model,
+          validation_errors: validationErrors,
+          error: String(e?.message || e)
+        });
+        log(`${entry.input}: attempt ${attempt} failed: ${entry.error}`);
+        if (attempt <= retries) await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    entry.usage = usage;
+    entry.finished_at = new Date().toISOString();
+    entry.duration_ms = Date.now() - started;
+    log(`${entry.input}: ${entry.status} (${entry.duration_ms} ms, ${usage.input_tokens + usage.output_tokens} tokens)`);
+    await saveManifest();
+  }
+
+  // Bounded worker pool over the pending entries
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+    while (next < queue.length) await processEntry(queue[next++]);
+  });
+  await Promise.all(workers);
+  await saveManifest();
+  return manifest;
+}
+
+async function loadChartFile(file, patientId){
+  if (!file) return null;
+  const raw = parseFhirText(await fs.readFile(path.resolve(file), 'utf8'));
+  const chart = selectPatientChart(normalizeFhir(raw), patientId || '');
+  if (!chart && patientId) throw new Error(`Patient ${patientId} not found in ${file}`);
+  return chart;
+}
+
+async function run(){
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      concurrency: { type: 'string', short: 'c' },
+      retries: { type: 'string', short: 'r' },
+      model: { type: 'string', short: 'm' },
+      chart: { type: 'string' },
+      patient: { type: 'string' },
+      force: { type: 'boolean' }
+    }
+  });
+  if (positionals.length !== 1) {
+    console.error('Usage: node scripts/batch.mjs <directory|glob> [--out dir] [--concurrency n] [--retries n] [--model name] [--chart fhir.json] [--patient id] [--force]');
+    process.exit(2);
+  }
+  const manifest = await runBatch({
+    input: positionals[0],
+    out: values.out || process.env.BATCH_OUT,
+    concurrency: values.concurrency ?? process.env.BATCH_CONCURRENCY,
+    retries: values.retries ?? process.env.BATCH_RETRIES,
+    retryDelayMs: process.env.BATCH_RETRY_DELAY_MS,
+    model: values.model,
+    chart: await loadChartFile(values.chart, values.patient),
+    force: values.force,
+    log: (line) => console.log(line)
+  });
+  const t = manifest.totals;
+  console.log(`Done: ${t.ok} ok, ${t.failed} failed of ${t.files}; ${t.usage.input_tokens} input / ${t.usage.output_tokens} output tokens`);
+  if (t.failed) process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run().catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,101 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+// Content-addressed cache of model calls: <dir>/<key[0:2]>/<key>.json, where key is the SHA-256 of the
+// provider (name, base URL) and the request (purpose, model, prompt, parameters). Modes:
+//   off           every call goes to the model (keys are still computed and reported)
+//   read-through  serve cached responses, call the model and store the response on a miss
+//   record        always call the model and store (overwrites)
+//   replay        only serve cached responses; a miss is an error
+
+export const CACHE_MODES = ['off', 'read-through', 'record', 'replay'];
+
+const DEFAULT_CACHE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'cache');
+
+export function cacheMode(value = process.env.LLM_CACHE){
+  const mode = String(value || 'off').trim().toLowerCase();
+  if (!CACHE_MODES.includes(mode)) throw new Error(`Unknown LLM_CACHE mode: ${mode} (expected one of ${CACHE_MODES.join(', ')})`);
+  return mode;
+}
+
+// Stable JSON: object keys sorted, so the same request always hashes the same
+function canonical(value){
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Which backend answers: the same model name on another provider or endpoint is another model
+export function providerIdentity(provider = {}){
+  return { name: String(provider.name || 'custom'), base_url: provider.baseURL ? String(provider.baseURL) : null };
+}
+
+export function cacheKey(request, provider){
+  return crypto.createHash('sha256').update(canonical({ provider: providerIdentity(provider), request })).digest('hex');
+}
+
+function entryPath(dir, key){
+  return path.join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+async function readEntry(dir, key){
+  try {
+    return JSON.parse(await fs.readFile(entryPath(dir, key), 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Only a hash of the prompt is stored: prompts contain the transcript
+async function writeEntry(dir, key, provider, request, resp){
+  const file = entryPath(dir, key);
+  const { input, system, ...params } = request;
+  const entry = {
+    key,
+    created_at: new Date().toISOString(),
+    provider: providerIdentity(provider),
+    request: {
+      ...params,
+      input_sha256: crypto.createHash('sha256').update(String(input ?? '')).digest('hex'),
+      ...(system ? { system_sha256: crypto.createHash('sha256').update(String(system)).digest('hex') } : {})
+    },
+    response: { text: resp.text, model: resp.model, api: resp.api, usage: resp.usage || null }
+  };
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(entry, null, 2));
+}
+
+// Wraps a provider with the cache. opts: { mode, dir } (defaults: LLM_CACHE, LLM_CACHE_DIR or data/cache).
+// Responses get `cache: { key, hit }`; every call is also appended to `provider.calls` for provenance.
+export function withCache(provider, opts = {}){
+  const mode = cacheMode(opts.mode ?? process.env.LLM_CACHE);
+  const dir = path.resolve(opts.dir || process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR);
+  const calls = [];
+  return {
+    name: provider.name,
+    baseURL: provider.baseURL,
+    mode,
+    calls,
+    async generate(request){
+      const key = cacheKey(request, provider);
+      const note = (hit) => calls.push({ purpose: request.purpose || 'default', model: request.model, key, hit });
+      if (mode === 'read-through' || mode === 'replay') {
+        const entry = await readEntry(dir, key);
+        if (entry?.response) {
+          note(true);
+          return { ...entry.response, cache: { key, hit: true } };
+        }
+        if (mode === 'replay') throw new Error(`No cached response for ${request.purpose || 'default'} (key ${key.slice(0, 16)}) in ${dir} (LLM_CACHE=replay)`);
+      }
+      const resp = await provider.generate(request);
+      if (mode !== 'off') await writeEntry(dir, key, provider, request, resp);
+      note(false);
+      return { ...resp, cache: { key, hit: false } };
+    }
+  };
+}
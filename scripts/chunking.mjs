@@ -0,0 +1,147 @@
+import { nodeKey } from './diff.mjs';
+
+// Splitting long Session Records for extraction and merging the per-chunk graphs back together.
+
+const HEADER_LINE = /^\s*Session (Record ID|Date)\s*:/i;
+const TURN_START = /^\s*(Doctor|Patient|Clinician|Provider|Nurse|Caregiver|Parent|Interpreter|[A-Z][A-Za-z .'-]{0,30})\s*:/;
+const SECTION_START = /^\s*(\[[^\]]+\]|#{1,6}\s|[A-Z][A-Za-z /&-]{2,40}:\s*$)/;
+
+// Break the record into header + segments; a segment is one speaker turn, section, or paragraph
+function segmentTranscript(text){
+  const lines = text.split('\n');
+  const header = [];
+  const segments = [];
+  let current = null;
+  let offset = 0;
+  const flush = () => {
+    if (current && current.text.trim()) segments.push(current);
+    current = null;
+  };
+  for (const line of lines) {
+    const start = offset;
+    offset += line.length + 1;
+    if (!segments.length && !current && HEADER_LINE.test(line)) {
+      header.push(line.trim());
+      continue;
+    }
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    if (!current || TURN_START.test(line) || SECTION_START.test(line)) {
+      flush();
+      current = { text: line, start, end: start + line.length };
+      continue;
+    }
+    current.text += '\n' + line;
+    current.end = start + line.length;
+  }
+  flush();
+  return { header: header.join('\n'), segments };
+}
+
+// Last resort for a single oversized turn: cut on sentence boundaries
+function splitOversized(segment, maxChars){
+  const pieces = [];
+  const sentences = segment.text.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [segment.text];
+  let buf = '';
+  let start = segment.start;
+  for (const sentence of sentences) {
+    if (buf && buf.length + sentence.length > maxChars) {
+      pieces.push({ text: buf, start, end: start + buf.length });
+      start += buf.length;
+      buf = '';
+    }
+    buf += sentence;
+  }
+  if (buf.trim()) pieces.push({ text: buf, start, end: start + buf.length });
+  return pieces;
+}
+
+// Returns [{ index, text, start, end }]; the record header is repeated at the top of every chunk
+export function splitTranscript(text, opts = {}){
+  const source = typeof text === 'string' ? text : '';
+  const maxChars = Number.isFinite(Number(opts.maxChars)) && Number(opts.maxChars) > 0 ? Number(opts.maxChars) : 6000;
+  if (source.length <= maxChars) {
+    return [{ index: 0, text: source, start: 0, end: source.length }];
+  }
+  const { header, segments } = segmentTranscript(source);
+  const budget = Math.max(500, maxChars - header.length - 2);
+  const pieces = segments.flatMap(seg => seg.text.length > budget ? splitOversized(seg, budget) : [seg]);
+
+  const chunks = [];
+  let group = [];
+  let size = 0;
+  const emit = () => {
+    if (!group.length) return;
+    const body = group.map(p => p.text).join('\n');
+    chunks.push({
+      index: chunks.length,
+      text: header ? `${header}\n\n${body}` : body,
+      start: group[0].start,
+      end: group[group.length - 1].end
+    });
+    group = [];
+    size = 0;
+  };
+  for (const piece of pieces) {
+    if (group.length && size + piece.text.length + 1 > budget) emit();
+    group.push(piece);
+    size += piece.text.length + 1;
+  }
+  emit();
+  return chunks;
+}
+
+function mergeAttributes(into, from){
+  if (!from || typeof from !== 'object') return into;
+  const merged = { ...(into || {}) };
+  for (const [k, v] of Object.entries(from)) {
+    if (!(k in merged) || merged[k] === '' || merged[k] == null) merged[k] = v;
+  }
+  return merged;
+}
+
+// Merge per-chunk graphs: [{ chunk, kg }] -> single KG.
+// Entities are deduplicated by type + normalized label, ids are reassigned ("1", "2", ...) and edges rewired.
+// Every merged node keeps a `provenance` list of { chunk, source_span } for the chunks that produced it.
+export function mergeGraphs(partials){
+  const nodes = [];
+  const byKey = new Map();
+  const edges = [];
+  const edgeKeys = new Set();
+  const summaries = [];
+
+  for (const { chunk, kg } of partials) {
+    const idMap = new Map();
+    for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+      if (!node || typeof node !== 'object') continue;
+      const key = nodeKey(node);
+      let target = byKey.get(key);
+      if (!target) {
+        target = { ...node, id: String(nodes.length + 1), attributes: { ...(node.attributes || {}) }, provenance: [] };
+        nodes.push(target);
+        byKey.set(key, target);
+      } else {
+        target.attributes = mergeAttributes(target.attributes, node.attributes);
+        if (!target.source_span && node.source_span) target.source_span = node.source_span;
+      }
+      target.provenance.push({ chunk, source_span: typeof node.source_span === 'string' ? node.source_span : '' });
+      if (node.id != null) idMap.set(String(node.id), target.id);
+    }
+    for (const edge of Array.isArray(kg?.edges) ? kg.edges : []) {
+      if (!edge || typeof edge !== 'object') continue;
+      // Unknown endpoints are kept (chunk-qualified) so the edge-reference check still reports them
+      const source = idMap.get(String(edge.source)) ?? `chunk${chunk}:${edge.source}`;
+      const target = idMap.get(String(edge.target)) ?? `chunk${chunk}:${edge.target}`;
+      const key = `${source}|${edge.type}|${target}`;
+      if (edgeKeys.has(key)) continue;
+      edgeKeys.add(key);
+      edges.push({ ...edge, source, target });
+    }
+    const summary = typeof kg?.summary === 'string' ? kg.summary.trim() : '';
+    if (summary && !summaries.includes(summary)) summaries.push(summary);
+  }
+
+  return { nodes, edges, summary: summaries.join(' ') };
+}
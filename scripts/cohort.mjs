@@ -0,0 +1,317 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { normalizeLabel, coverageStatus } from './diff.mjs';
+import { sessionsDir } from './sessions.mjs';
+
+// Cohort aggregation: many session KGs merged into one graph. Nodes are keyed by type + normalized label
+// (unlike diff.mjs, codes are not used, so the key is stable across grounded and ungrounded runs); edges by
+// their merged ends and type. Every merged element counts the sessions and patients it occurs in, and
+// RiskFactor nodes (and edges touching one) carry the distribution of coverage statuses across those sessions.
+//   node scripts/cohort.mjs data/sessions --from 2024-01-01 --to 2024-12-31 --out cohort.json
+// A session without patient_id counts as its own patient.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ALLERGY_RULES = ['drug-allergy', 'drug-allergy-class', 'allergy-cross-reactivity'];
+export const COVERAGE_STATUSES = ['not_addressed', 'uncertain', 'addressed', 'unknown'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export function cohortKey(node){
+  return `${node?.type || ''}|${normalizeLabel(node?.label)}`;
+}
+
+function sessionInfo(kg, i){
+  const id = kg?.session?.id || `run-${i + 1}`;
+  return {
+    id,
+    date: kg?.session?.date || String(kg?.session?.created_at || '').slice(0, 10),
+    patient: kg?.session?.patient_id || `session:${id}`
+  };
+}
+
+function emptyCoverage(){
+  return Object.fromEntries(COVERAGE_STATUSES.map(s => [s, 0]));
+}
+
+// Most frequent spelling wins; ties go to the first seen
+function topLabel(labels){
+  let best = '';
+  for (const [label, count] of labels) if (!best || count > labels.get(best)) best = label;
+  return best;
+}
+
+// kgs: session KGs. opts: { from, to } (YYYY-MM-DD, inclusive; sessions without a date are left out when either
+// is set), types (node types kept in the merged graph), minFrequency (sessions an element needs, default 1),
+// limit (rows per table, default 50). The tables always cover every node type of the selected sessions.
+export function aggregateCohort(kgs, opts = {}){
+  const from = opts.from ? String(opts.from) : '';
+  const to = opts.to ? String(opts.to) : '';
+  const types = opts.types?.length ? new Set([].concat(opts.types)) : null;
+  const minFrequency = Math.max(1, Number(opts.minFrequency) || 1);
+  const limit = Math.max(1, Number(opts.limit) || 50);
+
+  const sessions = [];
+  const nodes = new Map();
+  const edges = new Map();
+  const conflicts = new Map();
+  const pairs = new Map();
+  const patients = new Set();
+  let excluded = 0;
+
+  (Array.isArray(kgs) ? kgs : []).forEach((kg, i) => {
+    const info = sessionInfo(kg, i);
+    if ((from || to) && (!info.date || (from && info.date < from) || (to && info.date > to))) {
+      excluded++;
+      return;
+    }
+    const list = Array.isArray(kg?.nodes) ? kg.nodes.filter(n => n && typeof n === 'object' && normalizeLabel(n.label)) : [];
+    patients.add(info.patient);
+    sessions.push({ id: info.id, date: info.date, patient_id: kg?.session?.patient_id || '', nodes: list.length, edges: Array.isArray(kg?.edges) ? kg.edges.length : 0 });
+
+    // Per session each key counts once; its coverage status is the first one found for that key
+    const keyOf = new Map();
+    const statusOf = new Map();
+    for (const node of list) {
+      const key = cohortKey(node);
+      keyOf.set(String(node.id), key);
+      let entry = nodes.get(key);
+      if (!entry) {
+        entry = { key, type: node.type, labels: new Map(), sessions: new Set(), patients: new Set(), mentions: 0, codes: new Map(), coverage: null };
+        nodes.set(key, entry);
+      }
+      entry.mentions++;
+      entry.labels.set(node.label, (entry.labels.get(node.label) || 0) + 1);
+      for (const c of Array.isArray(node.codes) ? node.codes : []) {
+        if (c?.system && c?.code) entry.codes.set(`${c.system}|${c.code}`, c);
+      }
+      if (node.type === 'RiskFactor' && !statusOf.get(key)) statusOf.set(key, coverageStatus(node, kg.risk_projection));
+      if (entry.sessions.has(info.id)) continue;
+      entry.sessions.add(info.id);
+      entry.patients.add(info.patient);
+    }
+    for (const [key, status] of statusOf) {
+      const entry = nodes.get(key);
+      entry.coverage ||= emptyCoverage();
+      entry.coverage[COVERAGE_STATUSES.includes(status) ? status : 'unknown']++;
+    }
+
+    const seenEdges = new Set();
+    for (const edge of Array.isArray(kg?.edges) ? kg.edges : []) {
+      const source = keyOf.get(String(edge?.source));
+      const target = keyOf.get(String(edge?.target));
+      if (!source || !target) continue;
+      const key = `${source}>${edge.type}>${target}`;
+      if (seenEdges.has(key)) continue;
+      seenEdges.add(key);
+      let entry = edges.get(key);
+      if (!entry) {
+        entry = { source, target, type: edge.type, sessions: new Set(), patients: new Set(), coverage: null };
+        edges.set(key, entry);
+      }
+      entry.sessions.add(info.id);
+      entry.patients.add(info.patient);
+      // Edges touching a risk factor take its status in this session (source end first)
+      const riskEnd = statusOf.has(source) ? source : statusOf.has(target) ? target : null;
+      if (riskEnd) {
+        entry.coverage ||= emptyCoverage();
+        const status = statusOf.get(riskEnd);
+        entry.coverage[COVERAGE_STATUSES.includes(status) ? status : 'unknown']++;
+      }
+    }
+
+    // Allergy conflicts from clinical validation, grouped by the medication they were raised on
+    const seenConflicts = new Set();
+    for (const issue of Array.isArray(kg?.validations?.issues) ? kg.validations.issues : []) {
+      if (!ALLERGY_RULES.includes(issue?.rule)) continue;
+      const key = keyOf.get(String(issue.node_id));
+      if (!key) continue;
+      let entry = conflicts.get(key);
+      if (!entry) {
+        entry = { key, sessions: new Set(), patients: new Set(), issues: 0, rules: {}, severities: {}, allergies: new Set() };
+        conflicts.set(key, entry);
+      }
+      entry.issues++;
+      entry.rules[issue.rule] = (entry.rules[issue.rule] || 0) + 1;
+      entry.severities[issue.severity] = (entry.severities[issue.severity] || 0) + 1;
+      if (issue.allergy) entry.allergies.add(issue.allergy);
+      if (seenConflicts.has(key)) continue;
+      seenConflicts.add(key);
+      entry.sessions.add(info.id);
+      entry.patients.add(info.patient);
+    }
+
+    // Conditions that occur in the same session
+    const conditions = [...new Set(list.filter(n => n.type === 'Condition').map(cohortKey))].sort();
+    for (let a = 0; a < conditions.length; a++) {
+      for (let b = a + 1; b < conditions.length; b++) {
+        const key = `${conditions[a]}+${conditions[b]}`;
+        if (!pairs.has(key)) pairs.set(key, { a: conditions[a], b: conditions[b], sessions: new Set(), patients: new Set() });
+        pairs.get(key).sessions.add(info.id);
+        pairs.get(key).patients.add(info.patient);
+      }
+    }
+  });
+
+  const label = (key) => topLabel(nodes.get(key).labels);
+  const node_types = {};
+  for (const entry of nodes.values()) node_types[entry.type] = (node_types[entry.type] || 0) + 1;
+
+  // Merged graph: cohort ids c1, c2, … in order of frequency
+  const merged = [...nodes.values()]
+    .filter(n => n.sessions.size >= minFrequency && (!types || types.has(n.type)))
+    .sort((a, b) => b.sessions.size - a.sessions.size || label(a.key).localeCompare(label(b.key)));
+  const idOf = new Map(merged.map((n, i) => [n.key, `c${i + 1}`]));
+  const graphNodes = merged.map(n => ({
+    id: idOf.get(n.key),
+    key: n.key,
+    type: n.type,
+    label: label(n.key),
+    frequency: n.sessions.size,
+    share: round(n.sessions.size / sessions.length),
+    patients: n.patients.size,
+    mentions: n.mentions,
+    ...(n.codes.size ? { codes: [...n.codes.values()] } : {}),
+    ...(n.coverage ? { coverage: n.coverage } : {})
+  }));
+  const graphEdges = [...edges.values()]
+    .filter(e => e.sessions.size >= minFrequency && idOf.has(e.source) && idOf.has(e.target))
+    .sort((a, b) => b.sessions.size - a.sessions.size)
+    .map(e => ({
+      source: idOf.get(e.source),
+      target: idOf.get(e.target),
+      type: e.type,
+      frequency: e.sessions.size,
+      patients: e.patients.size,
+      ...(e.coverage ? { coverage: e.coverage } : {})
+    }));
+
+  const risk_factors = [...nodes.values()]
+    .filter(n => n.type === 'RiskFactor' && n.sessions.size >= minFrequency)
+    .map(n => ({
+      key: n.key,
+      label: label(n.key),
+      sessions: n.sessions.size,
+      patients: n.patients.size,
+      coverage: n.coverage || emptyCoverage(),
+      not_addressed: n.coverage?.not_addressed || 0,
+      not_addressed_rate: round((n.coverage?.not_addressed || 0) / n.sessions.size)
+    }))
+    .sort((a, b) => b.not_addressed - a.not_addressed || b.not_addressed_rate - a.not_addressed_rate || a.label.localeCompare(b.label))
+    .slice(0, limit);
+
+  const allergy_conflicts = [...conflicts.values()]
+    .map(c => ({
+      key: c.key,
+      medication: label(c.key),
+      sessions: c.sessions.size,
+      patients: c.patients.size,
+      conflict_rate: round(c.sessions.size / nodes.get(c.key).sessions.size),
+      issues: c.issues,
+      rules: c.rules,
+      severities: c.severities,
+      allergies: [...c.allergies].sort()
+    }))
+    .sort((a, b) => b.sessions - a.sessions || b.issues - a.issues || a.medication.localeCompare(b.medication))
+    .slice(0, limit);
+
+  // jaccard: sessions with both conditions / sessions with either
+  const condition_pairs = [...pairs.values()]
+    .filter(p => p.sessions.size >= minFrequency)
+    .map(p => {
+      const either = new Set([...nodes.get(p.a).sessions, ...nodes.get(p.b).sessions]).size;
+      return {
+        a: label(p.a),
+        b: label(p.b),
+        sessions: p.sessions.size,
+        patients: p.patients.size,
+        jaccard: round(p.sessions.size / either)
+      };
+    })
+    .sort((x, y) => y.sessions - x.sessions || y.jaccard - x.jaccard || x.a.localeCompare(y.a) || x.b.localeCompare(y.b))
+    .slice(0, limit);
+
+  return {
+    filters: { from: from || null, to: to || null, types: types ? [...types] : null, min_frequency: minFrequency },
+    totals: { sessions: sessions.length, excluded, patients: patients.size, nodes: graphNodes.length, edges: graphEdges.length },
+    sessions,
+    node_types,
+    nodes: graphNodes,
+    edges: graphEdges,
+    risk_factors,
+    allergy_conflicts,
+    condition_pairs
+  };
+}
+
+// ---------- CLI ----------
+
+// Reads every KG file in the given directories (manifest.json excluded) or the given files
+async function readKgs(inputs){
+  const files = [];
+  for (const input of inputs) {
+    const full = path.resolve(input);
+    const stat = await fs.stat(full);
+    if (!stat.isDirectory()) {
+      files.push(full);
+      continue;
+    }
+    for (const name of (await fs.readdir(full)).sort()) {
+      if (name.endsWith('.json') && name !== 'manifest.json') files.push(path.join(full, name));
+    }
+  }
+  const kgs = [];
+  for (const file of files) {
+    try {
+      const kg = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (!Array.isArray(kg?.nodes)) continue;
+      // Batch outputs have no session block; the file name stands in for the session id
+      kgs.push({ ...kg, session: { id: path.basename(file, '.json'), ...(kg.session || {}) } });
+    } catch (e) {
+      console.warn(`Skipping unreadable KG ${file}:`, e.message || e);
+    }
+  }
+  return kgs;
+}
+
+async function run(){
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      types: { type: 'string' },
+      min: { type: 'string' },
+      limit: { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help) {
+    console.error('Usage: node scripts/cohort.mjs [dir | kg.json ...] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--types Condition,RiskFactor] [--min n] [--limit n] [--out cohort.json]');
+    process.exit(2);
+  }
+  const kgs = await readKgs(positionals.length ? positionals : [sessionsDir(ROOT)]);
+  const cohort = aggregateCohort(kgs, {
+    from: values.from,
+    to: values.to,
+    types: values.types ? values.types.split(',').map(t => t.trim()).filter(Boolean) : null,
+    minFrequency: values.min,
+    limit: values.limit
+  });
+  const t = cohort.totals;
+  const json = JSON.stringify(cohort, null, 2);
+  if (values.out) {
+    await fs.mkdir(path.dirname(path.resolve(values.out)), { recursive: true });
+    await fs.writeFile(path.resolve(values.out), json);
+    console.error('Wrote', values.out);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+  console.error(`${t.sessions} sessions (${t.excluded} outside the date range), ${t.patients} patients → ${t.nodes} nodes, ${t.edges} edges`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run().catch(err => { console.error(err.message || err); process.exit(1); });
+}
@@ -0,0 +1,90 @@
+import { nodeKey } from './diff.mjs';
+
+// Self-consistency: the same record is extracted (and its risk factors projected) several times and the
+// samples are compared. Nodes are aligned by type + normalized label (nodeKey), edges by their aligned ends
+// and type; confidence is the share of samples that produced the element. The consensus graph keeps
+// elements at or above a threshold and lists the rest under `dropped`.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// samples: validated KGs, the first one being the primary extraction (its ids, summary and chunks are kept).
+// Returns { kg, dropped: { nodes, edges } }; every kept node and edge carries `confidence` (0–1)
+export function consensusGraph(samples, opts = {}){
+  const threshold = Number.isFinite(Number(opts.threshold)) ? Number(opts.threshold) : 0.5;
+  const total = samples.length;
+  const nodes = new Map();
+  const edges = new Map();
+
+  samples.forEach((kg, s) => {
+    const keyOf = new Map();
+    const seen = new Set();
+    for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+      const key = nodeKey(node);
+      keyOf.set(String(node.id), key);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = nodes.get(key);
+      if (entry) entry.count++;
+      // Nodes first seen in a later sample get a sample-qualified id so they cannot collide with the primary's
+      else nodes.set(key, { node: { ...node, id: s === 0 ? String(node.id) : `s${s + 1}-${node.id}` }, count: 1 });
+    }
+    const seenEdges = new Set();
+    for (const edge of Array.isArray(kg?.edges) ? kg.edges : []) {
+      const source = keyOf.get(String(edge.source));
+      const target = keyOf.get(String(edge.target));
+      if (!source || !target) continue;
+      const key = `${source}>${edge.type}>${target}`;
+      if (seenEdges.has(key)) continue;
+      seenEdges.add(key);
+      const entry = edges.get(key);
+      if (entry) entry.count++;
+      else edges.set(key, { edge: { ...edge }, source, target, count: 1 });
+    }
+  });
+
+  const kept = new Map();
+  const dropped = { nodes: [], edges: [] };
+  for (const [key, { node, count }] of nodes) {
+    const confidence = round(count / total);
+    if (confidence >= threshold) kept.set(key, { ...node, confidence });
+    else dropped.nodes.push({ type: node.type, label: node.label, confidence });
+  }
+  const keptEdges = [];
+  for (const { edge, source, target, count } of edges.values()) {
+    const confidence = round(count / total);
+    const from = kept.get(source);
+    const to = kept.get(target);
+    if (confidence >= threshold && from && to) keptEdges.push({ ...edge, source: from.id, target: to.id, confidence });
+    else dropped.edges.push({ source: nodes.get(source).node.label, type: edge.type, target: nodes.get(target).node.label, confidence });
+  }
+
+  const primary = samples[0] || {};
+  const kg = { ...primary, nodes: [...kept.values()], edges: keptEdges };
+  return { kg, dropped };
+}
+
+// Ties between statuses go to the more cautious one
+const STATUS_ORDER = ['not_addressed', 'uncertain', 'addressed'];
+
+// projections: risk projections of the same (consensus) graph. Each risk factor gets the majority status,
+// `votes` per status and `confidence` (share of samples voting for it); quotes and rationale come from the
+// first sample that chose that status.
+export function consensusProjection(projections){
+  const list = projections.filter(p => p && Array.isArray(p.risk_factors));
+  if (!list.length) return null;
+  const byId = new Map();
+  for (const projection of list) {
+    for (const rf of projection.risk_factors) {
+      if (!byId.has(rf.id)) byId.set(rf.id, []);
+      byId.get(rf.id).push(rf);
+    }
+  }
+  const risk_factors = [...byId.entries()].map(([id, answers]) => {
+    const votes = {};
+    for (const rf of answers) votes[rf.status] = (votes[rf.status] || 0) + 1;
+    const status = STATUS_ORDER.reduce((best, s) => ((votes[s] || 0) > (votes[best] || 0) ? s : best), STATUS_ORDER[0]);
+    const chosen = answers.find(rf => rf.status === status);
+    return { ...chosen, id, votes, confidence: round(votes[status] / list.length) };
+  });
+  return { ...list[0], risk_factors };
+}
@@ -0,0 +1,192 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// De-identification of Session Records before they are sent to a model.
+// Names, dates, identifiers, phone numbers, e-mail and street addresses are replaced with typed surrogates
+// ("[NAME_1]", "[DATE_2]"); the same original always gets the same surrogate, so the returned KG can be
+// re-identified locally with the entity list.
+
+export const PHI_TYPES = ['NAME', 'DATE', 'ID', 'PHONE', 'EMAIL', 'ADDRESS'];
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const STREET = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Highway|Hwy';
+
+// Rules in priority order: when two matches overlap, the earlier rule wins (then the longer match).
+// `group` selects the part of the match that is replaced (e.g. the value after "MRN:").
+const RULES = [
+  { type: 'EMAIL', re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'ID', re: /\b(?:Session Record ID|Record ID|MRN|Medical Record(?: Number)?|SSN|Member ID|Account(?: Number)?|Patient ID)\s*[:#]?\s*([A-Za-z0-9][A-Za-z0-9-]{2,})/gi, group: 1 },
+  { type: 'ID', re: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'PHONE', re: /(?:\+?1[ .-]?)?(?:\(\d{3}\)\s?|\b\d{3}[ .-])\d{3}[ .-]\d{4}\b/g },
+  { type: 'ADDRESS', re: new RegExp(`\\b\\d{1,6}(?: [A-Z][a-z]+){1,4} (?:${STREET})\\b\\.?(?:,? (?:Apt|Unit|Suite) \\w+)?(?:, [A-Z][a-z]+(?: [A-Z][a-z]+)*)?(?:,? [A-Z]{2})?(?: \\d{5}(?:-\\d{4})?)?`, 'g') },
+  { type: 'ADDRESS', re: /\b[A-Z]{2} \d{5}(?:-\d{4})?\b/g },
+  { type: 'DATE', re: /\b\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?\b/g },
+  { type: 'DATE', re: /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g },
+  { type: 'DATE', re: new RegExp(`\\b(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?\\b`, 'g') },
+  { type: 'DATE', re: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)? (?:${MONTHS})\\.?(?:,? \\d{4})?\\b`, 'g') },
+  { type: 'NAME', re: /\b(?:Dr|Mr|Mrs|Ms|Miss|Mx)\.? [A-Z][a-z'-]+(?: [A-Z][a-z'-]+)?/g },
+  { type: 'NAME', re: /\b(?:[Mm]y name is|[Tt]his is|I'm|I am) ([A-Z][a-z'-]+(?: [A-Z][a-z'-]+)?)/g, group: 1 },
+  // Header fields such as "Patient Name: Ava Nguyen" (not the "Patient:" speaker label)
+  { type: 'NAME', re: /^[ \t]*(?:Patient|Clinician|Provider|Doctor|Physician)? ?Name:[ \t]*([^\n]+?)[ \t]*$/gim, group: 1 },
+  { type: 'ID', re: /\b(?=[A-Z0-9-]*\d)[A-Z]{1,3}-?\d{5,}\b/g },
+  { type: 'ID', re: /\b\d{7,}\b/g }
+];
+
+function escapeRegExp(text){
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Literal PHI from the patient's chart (normalized FHIR, see fhir-import.mjs) plus configured names
+function knownTerms(chart, names = []){
+  const terms = [];
+  const p = chart?.patient;
+  for (const name of Array.isArray(p?.name) ? p.name : []) {
+    const given = (name.given || []).filter(Boolean);
+    if (given.length && name.family) terms.push({ type: 'NAME', text: `${given.join(' ')} ${name.family}` });
+    if (name.text) terms.push({ type: 'NAME', text: name.text });
+    [...given, name.family].filter(Boolean).forEach(text => terms.push({ type: 'NAME', text }));
+  }
+  for (const id of Array.isArray(p?.identifier) ? p.identifier : []) if (id?.value) terms.push({ type: 'ID', text: String(id.value) });
+  for (const t of Array.isArray(p?.telecom) ? p.telecom : []) {
+    if (t?.value) terms.push({ type: t.system === 'email' ? 'EMAIL' : 'PHONE', text: String(t.value) });
+  }
+  for (const a of Array.isArray(p?.address) ? p.address : []) {
+    [...(a.line || []), a.city, a.postalCode].filter(Boolean).forEach(text => terms.push({ type: 'ADDRESS', text: String(text) }));
+  }
+  if (p?.birthDate) terms.push({ type: 'DATE', text: String(p.birthDate) });
+  for (const enc of Array.isArray(chart?.encounters) ? chart.encounters : []) {
+    for (const part of Array.isArray(enc?.participant) ? enc.participant : []) {
+      const display = part?.individual?.display;
+      if (display) terms.push({ type: 'NAME', text: String(display) });
+    }
+  }
+  names.filter(Boolean).forEach(text => terms.push({ type: 'NAME', text: String(text) }));
+  return terms.filter(t => t.text.trim().length > 1);
+}
+
+function findMatches(text, opts){
+  const types = new Set(opts.types || PHI_TYPES);
+  const found = [];
+  // Known chart values first: they are certain, rule matches are heuristics
+  knownTerms(opts.chart, opts.names).forEach(term => {
+    if (!types.has(term.type)) return;
+    const re = new RegExp(`(?<![\\w])${escapeRegExp(term.text.trim())}(?![\\w])`, 'g');
+    let m;
+    while ((m = re.exec(text))) found.push({ type: term.type, start: m.index, end: m.index + m[0].length, priority: 0 });
+  });
+  RULES.forEach((rule, i) => {
+    if (!types.has(rule.type)) return;
+    rule.re.lastIndex = 0;
+    let m;
+    while ((m = rule.re.exec(text))) {
+      const value = rule.group ? m[rule.group] : m[0];
+      if (!value || !value.trim()) continue;
+      const start = rule.group ? m.index + m[0].indexOf(value) : m.index;
+      found.push({ type: rule.type, start, end: start + value.length, priority: i + 1 });
+    }
+  });
+  // Resolve overlaps: by priority, then longest, then earliest
+  found.sort((a, b) => a.priority - b.priority || (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const m of found) {
+    if (!kept.some(k => m.start < k.end && m.end > k.start)) kept.push(m);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+// Replace PHI in `text`. opts: { chart, names, types, entities } — pass the entities of an earlier call to keep
+// surrogates consistent across texts. Returns { text, entities: [{ type, surrogate, original }] }.
+export function deidentify(text, opts = {}){
+  const source = String(text ?? '');
+  const entities = Array.isArray(opts.entities) ? opts.entities.map(e => ({ ...e })) : [];
+  const byOriginal = new Map(entities.map(e => [`${e.type}|${e.original.toLowerCase()}`, e]));
+  const counters = {};
+  entities.forEach(e => { counters[e.type] = Math.max(counters[e.type] || 0, Number(e.surrogate.match(/_(\d+)\]$/)?.[1]) || 0); });
+
+  let out = '';
+  let last = 0;
+  for (const m of findMatches(source, opts)) {
+    const original = source.slice(m.start, m.end);
+    const key = `${m.type}|${original.toLowerCase()}`;
+    let entity = byOriginal.get(key);
+    if (!entity) {
+      counters[m.type] = (counters[m.type] || 0) + 1;
+      entity = { type: m.type, surrogate: `[${m.type}_${counters[m.type]}]`, original };
+      byOriginal.set(key, entity);
+      entities.push(entity);
+    }
+    out += source.slice(last, m.start) + entity.surrogate;
+    last = m.end;
+  }
+  out += source.slice(last);
+  return { text: out, entities };
+}
+
+// Put the originals back; also accepts surrogates whose brackets the model dropped ("NAME_1")
+export function reidentifyText(text, entities){
+  const bySurrogate = new Map((entities || []).map(e => [e.surrogate.slice(1, -1), e.original]));
+  if (!bySurrogate.size) return text;
+  return String(text).replace(new RegExp(`\\[?\\b(${PHI_TYPES.join('|')})_(\\d+)\\b\\]?`, 'g'), (match, type, n) => {
+    return bySurrogate.get(`${type}_${n}`) ?? match;
+  });
+}
+
+// Re-identifies every string in a KG (or any JSON value) in place; returns it
+export function reidentifyKg(value, entities){
+  const walk = (v) => {
+    if (typeof v === 'string') return reidentifyText(v, entities);
+    if (Array.isArray(v)) {
+      for (let i = 0; i < v.length; i++) v[i] = walk(v[i]);
+    } else if (v && typeof v === 'object') {
+      for (const key of Object.keys(v)) v[key] = walk(v[key]);
+    }
+    return v;
+  };
+  return walk(value);
+}
+
+// De-identifies every string in a JSON value in place (e.g. reviewer edits of a KG kept de-identified),
+// reusing and extending `opts.entities`; returns the complete entity list
+export function deidentifyValue(value, opts = {}){
+  let entities = Array.isArray(opts.entities) ? opts.entities : [];
+  const walk = (v) => {
+    if (typeof v === 'string') {
+      const result = deidentify(v, { ...opts, entities });
+      entities = result.entities;
+      return result.text;
+    }
+    if (Array.isArray(v)) {
+      for (let i = 0; i < v.length; i++) v[i] = walk(v[i]);
+    } else if (v && typeof v === 'object') {
+      for (const key of Object.keys(v)) v[key] = walk(v[key]);
+    }
+    return v;
+  };
+  walk(value);
+  return entities;
+}
+
+export function countByType(entities){
+  const counts = {};
+  (entities || []).forEach(e => { counts[e.type] = (counts[e.type] || 0) + 1; });
+  return counts;
+}
+
+// Surrogate keys for KGs kept de-identified at rest: <dir>/<key_id>.json, stored apart from the KG
+export async function saveDeidKey(dir, entities, keyId = crypto.randomUUID()){
+  const file = path.join(dir, `${keyId}.json`);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ key_id: keyId, created_at: new Date().toISOString(), entities }, null, 2), { mode: 0o600 });
+  return keyId;
+}
+
+export async function loadDeidKey(dir, keyId){
+  if (!/^[0-9a-f-]{36}$/.test(String(keyId || ''))) throw new Error(`Invalid de-identification key id: ${keyId}`);
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, `${keyId}.json`), 'utf8')).entities || [];
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
@@ -0,0 +1,157 @@
+// Longitudinal comparison of stored session KGs: risk factors and their coverage, and open assumptions.
+// Node ids are assigned per extraction run, so nodes are matched across runs by type + terminology code
+// when the node was grounded (see terminology.mjs), otherwise by type + normalized label.
+
+export function normalizeLabel(label){
+  return String(label ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function nodeKey(node){
+  const coded = Array.isArray(node?.codes) ? node.codes.find(c => c && c.system && c.code) : null;
+  if (coded) return `${node?.type || ''}|${coded.system}|${coded.code}`;
+  return `${node?.type || ''}|${normalizeLabel(node?.label)}`;
+}
+
+export function coverageStatus(node, projection){
+  const fromProjection = (projection?.risk_factors || []).find(rf => rf && rf.id === node.id)?.status;
+  const raw = fromProjection || node?.attributes?.coverage_status || '';
+  return typeof raw === 'string' && raw ? raw.toLowerCase() : null;
+}
+
+function riskFactorIndex(kg){
+  const index = new Map();
+  for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+    if (!node || node.type !== 'RiskFactor') continue;
+    const key = nodeKey(node);
+    if (!normalizeLabel(node.label) || index.has(key)) continue;
+    index.set(key, {
+      key,
+      id: node.id,
+      label: node.label,
+      status: coverageStatus(node, kg.risk_projection)
+    });
+  }
+  return index;
+}
+
+// Open assumptions stored on the KG (see assumptions.mjs), keyed by rule + the key(s) of the flagged node or
+// edge ends. null when the session has no stored assumptions (detection was off), so it is not compared.
+function assumptionIndex(kg){
+  if (!Array.isArray(kg?.assumptions?.items)) return null;
+  const byId = new Map((Array.isArray(kg.nodes) ? kg.nodes : []).filter(Boolean).map(n => [String(n.id), n]));
+  const index = new Map();
+  for (const item of kg.assumptions.items) {
+    if (!item?.rule) continue;
+    let subject = '';
+    if (item.node_id != null) {
+      const node = byId.get(String(item.node_id));
+      if (node) subject = nodeKey(node);
+    } else if (item.edge) {
+      const source = byId.get(String(item.edge.source));
+      const target = byId.get(String(item.edge.target));
+      if (source && target) subject = `${nodeKey(source)}|${item.edge.type}|${nodeKey(target)}`;
+    }
+    // The flagged node was removed (e.g. by review) without the assumptions being refreshed
+    if (!subject) continue;
+    const key = `${item.rule}|${subject}`;
+    if (!index.has(key)) index.set(key, { key, rule: item.rule, type: item.type || item.rule, severity: item.severity || '', message: item.message || '' });
+  }
+  return index;
+}
+
+function compareAssumptions(before, after){
+  if (!before || !after) return null;
+  const opened = [];
+  const resolved = [];
+  const unchanged = [];
+  for (const [key, item] of after) (before.has(key) ? unchanged : opened).push(item);
+  for (const [key, item] of before) {
+    if (!after.has(key)) resolved.push(item);
+  }
+  return { opened, resolved, unchanged };
+}
+
+function sessionInfo(kg, i){
+  return {
+    id: kg?.session?.id || `run-${i + 1}`,
+    date: kg?.session?.date || '',
+    created_at: kg?.session?.created_at || '',
+    patient_id: kg?.session?.patient_id || ''
+  };
+}
+
+function compareIndexes(before, after){
+  const added = [];
+  const resolved = [];
+  const persistent = [];
+  const transitions = [];
+  for (const [key, rf] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push({ key, label: rf.label, status: rf.status });
+      continue;
+    }
+    persistent.push({ key, label: rf.label, from: prev.status, to: rf.status });
+    if (prev.status !== rf.status) {
+      transitions.push({ key, label: rf.label, from: prev.status, to: rf.status });
+    }
+  }
+  for (const [key, rf] of before) {
+    if (!after.has(key)) resolved.push({ key, label: rf.label, status: rf.status });
+  }
+  return { added, resolved, persistent, transitions };
+}
+
+// Diff two or more KGs (oldest first). Returns pairwise steps, first-vs-last overall, and a per-risk-factor timeline.
+// Steps and overall also carry `assumptions: { opened, resolved, unchanged }` (null when a session has none stored).
+export function diffSessions(kgs){
+  if (!Array.isArray(kgs) || kgs.length < 2) {
+    throw new Error('At least two sessions are required for a diff');
+  }
+  const ordered = kgs
+    .map((kg, i) => ({ kg, info: sessionInfo(kg, i), order: i }))
+    .sort((a, b) => (a.info.date || '').localeCompare(b.info.date || '')
+      || (a.info.created_at || '').localeCompare(b.info.created_at || '')
+      || a.order - b.order);
+
+  const patients = new Set(ordered.map(o => o.info.patient_id).filter(Boolean));
+  if (patients.size > 1) {
+    throw new Error(`Sessions belong to different patients: ${[...patients].join(', ')}`);
+  }
+
+  const indexes = ordered.map(o => riskFactorIndex(o.kg));
+  const assumptions = ordered.map(o => assumptionIndex(o.kg));
+  const steps = [];
+  for (let i = 1; i < ordered.length; i++) {
+    steps.push({
+      from: ordered[i - 1].info.id,
+      to: ordered[i].info.id,
+      ...compareIndexes(indexes[i - 1], indexes[i]),
+      assumptions: compareAssumptions(assumptions[i - 1], assumptions[i])
+    });
+  }
+
+  const timeline = new Map();
+  indexes.forEach((index, i) => {
+    for (const [key, rf] of index) {
+      if (!timeline.has(key)) timeline.set(key, { key, label: rf.label, statuses: new Array(ordered.length).fill(null) });
+      timeline.get(key).statuses[i] = rf.status || 'present';
+    }
+  });
+
+  return {
+    patient_id: [...patients][0] || '',
+    sessions: ordered.map(o => o.info),
+    overall: {
+      ...compareIndexes(indexes[0], indexes[indexes.length - 1]),
+      assumptions: compareAssumptions(assumptions[0], assumptions[assumptions.length - 1])
+    },
+    steps,
+    timeline: [...timeline.values()].sort((a, b) => a.label.localeCompare(b.label))
+  };
+}
@@ -0,0 +1,357 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { extractToKg, PROMPT_VERSION, NODE_TYPES, EDGE_TYPES } from './extract.mjs';
+import { getProvider, createFixtureProvider, fixtureKey } from './providers.mjs';
+import { normalizeLabel } from './diff.mjs';
+
+// Evaluation harness: runs extractToKg over gold-annotated transcripts and scores the result.
+// A case is a directory eval/cases/<name>/ with
+//   transcript.txt   the Session Record
+//   gold.json        { nodes: [{ id, type, label, aliases?, codes?, attributes: { coverage_status? } }], edges: [{ source, type, target }] }
+//   chart.json       optional chart context (normalized FHIR)
+//   recorded/        model responses replayed offline (fixture provider layout: <purpose>.json or <purpose>/<key>.json)
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_CASES = path.join(ROOT, 'eval', 'cases');
+const DEFAULT_REPORTS = path.join(ROOT, 'eval', 'reports');
+
+export const RISK_LABELS = ['addressed', 'not_addressed', 'uncertain', 'missing'];
+const MATCH_MIN = 0.5;
+const STOPWORDS = new Set(['of', 'the', 'a', 'an', 'and', 'to', 'for', 'with', 'in', 'on', 'due', 'potential', 'possible']);
+
+function tokens(label){
+  return new Set(normalizeLabel(label).split(' ').filter(t => t && !STOPWORDS.has(t)));
+}
+
+// 0–1 similarity of a predicted node to a gold node of the same type: shared code, equal label, containment or token overlap
+function nodeSimilarity(pred, gold){
+  if (pred.type !== gold.type) return 0;
+  const predCodes = new Set((pred.codes || []).map(c => `${c.system}|${c.code}`));
+  if ((gold.codes || []).some(c => predCodes.has(`${c.system}|${c.code}`))) return 1;
+  let best = 0;
+  for (const label of [gold.label, ...(gold.aliases || [])]) {
+    const a = tokens(pred.label);
+    const b = tokens(label);
+    if (!a.size || !b.size) continue;
+    if (normalizeLabel(pred.label) === normalizeLabel(label)) return 1;
+    const shared = [...a].filter(t => b.has(t)).length;
+    const jaccard = shared / (a.size + b.size - shared);
+    const contained = shared === Math.min(a.size, b.size) ? 0.8 : 0;
+    best = Math.max(best, jaccard, contained);
+  }
+  return best;
+}
+
+// One-to-one matching, best pairs first; returns Map(predId -> goldId)
+export function matchNodes(predNodes, goldNodes){
+  const pairs = [];
+  for (const p of predNodes) {
+    for (const g of goldNodes) {
+      const score = nodeSimilarity(p, g);
+      if (score >= MATCH_MIN) pairs.push({ p: String(p.id), g: String(g.id), score });
+    }
+  }
+  pairs.sort((x, y) => y.score - x.score);
+  const mapping = new Map();
+  const usedGold = new Set();
+  for (const { p, g } of pairs) {
+    if (mapping.has(p) || usedGold.has(g)) continue;
+    mapping.set(p, g);
+    usedGold.add(g);
+  }
+  return mapping;
+}
+
+function prf(tp, fp, fn){
+  const precision = tp + fp ? tp / (tp + fp) : null;
+  const recall = tp + fn ? tp / (tp + fn) : null;
+  const f1 = precision != null && recall != null && precision + recall ? (2 * precision * recall) / (precision + recall) : null;
+  const round = (x) => x == null ? null : Math.round(x * 1000) / 1000;
+  return { tp, fp, fn, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+function addCounts(target, key, tp, fp, fn){
+  const c = target[key] || (target[key] = { tp: 0, fp: 0, fn: 0 });
+  c.tp += tp;
+  c.fp += fp;
+  c.fn += fn;
+}
+
+function finalize(counts){
+  const out = {};
+  let tp = 0, fp = 0, fn = 0;
+  for (const [key, c] of Object.entries(counts).sort(([a], [b]) => a.localeCompare(b))) {
+    out[key] = prf(c.tp, c.fp, c.fn);
+    tp += c.tp;
+    fp += c.fp;
+    fn += c.fn;
+  }
+  return { per_type: out, micro: prf(tp, fp, fn) };
+}
+
+function emptyConfusion(){
+  return Object.fromEntries(RISK_LABELS.slice(0, 3).map(g => [g, Object.fromEntries(RISK_LABELS.map(p => [p, 0]))]));
+}
+
+function riskStatus(node){
+  const status = String(node?.attributes?.coverage_status || '').toLowerCase();
+  return RISK_LABELS.includes(status) ? status : 'uncertain';
+}
+
+// Raw counts for one predicted KG against its gold KG
+export function scoreKg(pred, gold){
+  const predNodes = Array.isArray(pred?.nodes) ? pred.nodes : [];
+  const goldNodes = Array.isArray(gold?.nodes) ? gold.nodes : [];
+  const mapping = matchNodes(predNodes, goldNodes);
+  const matchedGold = new Set(mapping.values());
+
+  const nodes = {};
+  for (const type of new Set([...predNodes, ...goldNodes].map(n => n.type))) {
+    const tp = predNodes.filter(n => n.type === type && mapping.has(String(n.id))).length;
+    const fp = predNodes.filter(n => n.type === type && !mapping.has(String(n.id))).length;
+    const fn = goldNodes.filter(n => n.type === type && !matchedGold.has(String(n.id))).length;
+    addCounts(nodes, type, tp, fp, fn);
+  }
+
+  // Predicted edges are translated to gold ids through the node matching
+  const goldEdges = new Set((gold?.edges || []).map(e => `${e.source}|${e.type}|${e.target}`));
+  const predEdges = new Set((pred?.edges || []).map(e => {
+    const s = mapping.get(String(e.source));
+    const t = mapping.get(String(e.target));
+    return s && t ? `${s}|${e.type}|${t}` : `unmatched:${e.source}|${e.type}|${e.target}`;
+  }));
+  const edges = {};
+  for (const type of new Set([...predEdges, ...goldEdges].map(k => k.split('|')[1]))) {
+    const ofType = (set) => [...set].filter(k => k.split('|')[1] === type);
+    const tp = ofType(predEdges).filter(k => goldEdges.has(k)).length;
+    addCounts(edges, type, tp, ofType(predEdges).length - tp, ofType(goldEdges).length - tp);
+  }
+
+  // Gold risk status (rows) vs. predicted status of the matched RiskFactor, or "missing" (columns)
+  const confusion = emptyConfusion();
+  const goldToPred = new Map([...mapping].map(([p, g]) => [g, p]));
+  const predById = new Map(predNodes.map(n => [String(n.id), n]));
+  for (const g of goldNodes.filter(n => n.type === 'RiskFactor' && n.attributes?.coverage_status)) {
+    const p = predById.get(goldToPred.get(String(g.id)));
+    confusion[riskStatus(g)][p ? riskStatus(p) : 'missing']++;
+  }
+
+  return { nodes, edges, confusion, matched: mapping.size };
+}
+
+function mergeScores(scores){
+  const nodes = {};
+  const edges = {};
+  const confusion = emptyConfusion();
+  for (const s of scores) {
+    for (const [k, c] of Object.entries(s.nodes)) addCounts(nodes, k, c.tp, c.fp, c.fn);
+    for (const [k, c] of Object.entries(s.edges)) addCounts(edges, k, c.tp, c.fp, c.fn);
+    for (const [g, row] of Object.entries(s.confusion)) for (const [p, n] of Object.entries(row)) confusion[g][p] += n;
+  }
+  return { nodes, edges, confusion };
+}
+
+function summarize(score){
+  const total = Object.values(score.confusion).reduce((sum, row) => sum + Object.values(row).reduce((a, b) => a + b, 0), 0);
+  const correct = RISK_LABELS.slice(0, 3).reduce((sum, s) => sum + score.confusion[s][s], 0);
+  return {
+    nodes: finalize(score.nodes),
+    edges: finalize(score.edges),
+    risk: { confusion: score.confusion, total, accuracy: total ? Math.round((correct / total) * 1000) / 1000 : null }
+  };
+}
+
+async function readJson(file){
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+export async function loadCases(dir = DEFAULT_CASES, only = []){
+  const cases = [];
+  for (const entry of (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (!entry.isDirectory() || (only.length && !only.includes(entry.name))) continue;
+    const caseDir = path.join(dir, entry.name);
+    const gold = await readJson(path.join(caseDir, 'gold.json'));
+    if (!gold) throw new Error(`Case ${entry.name} has no gold.json`);
+    cases.push({
+      name: entry.name,
+      dir: caseDir,
+      transcript: await fs.readFile(path.join(caseDir, 'transcript.txt'), 'utf8'),
+      gold,
+      chart: await readJson(path.join(caseDir, 'chart.json'))
+    });
+  }
+  return cases;
+}
+
+// Live provider that also saves each response under <case>/recorded for later offline runs
+function recordingProvider(spec, dir){
+  const provider = getProvider(spec);
+  return {
+    name: `${provider.name}+record`,
+    async generate(request){
+      const resp = await provider.generate(request);
+      const purpose = String(request.purpose || 'default').replace(/[^A-Za-z0-9_-]/g, '_');
+      await fs.mkdir(path.join(dir, purpose), { recursive: true });
+      await fs.writeFile(path.join(dir, purpose, `${fixtureKey(request.input)}.json`), resp.text);
+      // Un-keyed copy: replayed when the prompt changed since recording
+      await fs.writeFile(path.join(dir, `${purpose}.json`), resp.text);
+      return resp;
+    }
+  };
+}
+
+// opts: { cases, only, mode: 'replay' | 'live' | 'record', model, label, log }
+export async function runEval(opts = {}){
+  const mode = opts.mode || 'replay';
+  const model = (opts.model || process.env.MODEL || 'gpt-4o-mini').trim();
+  const log = typeof opts.log === 'function' ? opts.log : () => {};
+  const cases = await loadCases(opts.cases || DEFAULT_CASES, opts.only || []);
+  if (!cases.length) throw new Error('No eval cases found');
+
+  const results = [];
+  for (const c of cases) {
+    const recorded = path.join(c.dir, 'recorded');
+    const provider = mode === 'replay'
+      ? createFixtureProvider({ dir: recorded })
+      : mode === 'record' ? recordingProvider(opts.provider, recorded) : getProvider(opts.provider);
+    const started = Date.now();
+    try {
+      const kg = await extractToKg(c.transcript, { writeFile: false, model, provider, chartContext: c.chart || undefined, cache: mode === 'replay' ? 'off' : undefined });
+      const score = scoreKg(kg, c.gold);
+      const metrics = summarize(score);
+      results.push({ case: c.name, ok: true, duration_ms: Date.now() - started, score, metrics });
+      log(`${c.name}: nodes F1 ${metrics.nodes.micro.f1}, edges F1 ${metrics.edges.micro.f1}, risk accuracy ${metrics.risk.accuracy}`);
+    } catch (e) {
+      results.push({ case: c.name, ok: false, duration_ms: Date.now() - started, error: String(e?.message || e) });
+      log(`${c.name}: failed: ${e?.message || e}`);
+    }
+  }
+
+  const scored = results.filter(r => r.ok);
+  return {
+    label: opts.label || '',
+    created_at: new Date().toISOString(),
+    mode,
+    model,
+    provider: mode === 'replay' ? 'fixture' : (opts.provider || process.env.LLM_PROVIDER || 'openai'),
+    prompt_version: PROMPT_VERSION,
+    schema: { node_types: NODE_TYPES.length, edge_types: EDGE_TYPES.length },
+    cases: results.map(({ score, ...rest }) => rest),
+    overall: summarize(mergeScores(scored.map(r => r.score))),
+    failed: results.length - scored.length
+  };
+}
+
+const pct = (x) => x == null ? '—' : `${(x * 100).toFixed(1)}%`;
+
+function prfTable(title, metrics){
+  const rows = Object.entries(metrics.per_type).map(([type, m]) => `| ${type} | ${pct(m.precision)} | ${pct(m.recall)} | ${pct(m.f1)} | ${m.tp} | ${m.fp} | ${m.fn} |`);
+  const m = metrics.micro;
+  return [
+    `### ${title}`,
+    '| Type | Precision | Recall | F1 | TP | FP | FN |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    ...rows,
+    `| **all** | ${pct(m.precision)} | ${pct(m.recall)} | ${pct(m.f1)} | ${m.tp} | ${m.fp} | ${m.fn} |`
+  ].join('\n');
+}
+
+export function reportMarkdown(report){
+  const r = report.overall.risk;
+  const lines = [
+    `# Extraction eval${report.label ? ` — ${report.label}` : ''}`,
+    `${report.created_at} · model \`${report.model}\` · prompt \`${report.prompt_version}\` · ${report.mode} (${report.provider}) · ${report.cases.length} cases, ${report.failed} failed`,
+    '',
+    prfTable('Nodes', report.overall.nodes),
+    '',
+    prfTable('Edges', report.overall.edges),
+    '',
+    `### Risk status (rows: gold, columns: predicted) — accuracy ${pct(r.accuracy)} of ${r.total}`,
+    `| gold \\ predicted | ${RISK_LABELS.join(' | ')} |`,
+    `| --- | ${RISK_LABELS.map(() => '---').join(' | ')} |`,
+    ...Object.entries(r.confusion).map(([g, row]) => `| ${g} | ${RISK_LABELS.map(p => row[p]).join(' | ')} |`),
+    '',
+    '### Cases',
+    '| Case | Nodes F1 | Edges F1 | Risk accuracy | Time |',
+    '| --- | --- | --- | --- | --- |',
+    ...report.cases.map(c => c.ok
+      ? `| ${c.case} | ${pct(c.metrics.nodes.micro.f1)} | ${pct(c.metrics.edges.micro.f1)} | ${pct(c.metrics.risk.accuracy)} | ${c.duration_ms} ms |`
+      : `| ${c.case} | failed: ${c.error} | | | |`)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+// Side-by-side of two reports (e.g. before/after a prompt or model change)
+export function compareReports(a, b){
+  const delta = (x, y) => x == null || y == null ? '—' : `${y >= x ? '+' : ''}${((y - x) * 100).toFixed(1)}`;
+  const row = (name, x, y) => `| ${name} | ${pct(x)} | ${pct(y)} | ${delta(x, y)} |`;
+  const lines = [
+    `# Eval comparison`,
+    `A: ${a.label || a.created_at} (model \`${a.model}\`, prompt \`${a.prompt_version}\`)  `,
+    `B: ${b.label || b.created_at} (model \`${b.model}\`, prompt \`${b.prompt_version}\`)`,
+    '',
+    '| Metric | A | B | Δ (pts) |',
+    '| --- | --- | --- | --- |',
+    row('Node precision', a.overall.nodes.micro.precision, b.overall.nodes.micro.precision),
+    row('Node recall', a.overall.nodes.micro.recall, b.overall.nodes.micro.recall),
+    row('Node F1', a.overall.nodes.micro.f1, b.overall.nodes.micro.f1),
+    row('Edge precision', a.overall.edges.micro.precision, b.overall.edges.micro.precision),
+    row('Edge recall', a.overall.edges.micro.recall, b.overall.edges.micro.recall),
+    row('Edge F1', a.overall.edges.micro.f1, b.overall.edges.micro.f1),
+    row('Risk accuracy', a.overall.risk.accuracy, b.overall.risk.accuracy)
+  ];
+  const types = new Set([...Object.keys(a.overall.nodes.per_type), ...Object.keys(b.overall.nodes.per_type)]);
+  for (const type of [...types].sort()) {
+    lines.push(row(`${type} F1`, a.overall.nodes.per_type[type]?.f1 ?? null, b.overall.nodes.per_type[type]?.f1 ?? null));
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function run(){
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      cases: { type: 'string' },
+      case: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      label: { type: 'string' },
+      model: { type: 'string', short: 'm' },
+      live: { type: 'boolean' },
+      record: { type: 'boolean' },
+      compare: { type: 'boolean' }
+    }
+  });
+  if (values.compare) {
+    if (positionals.length !== 2) throw new Error('Usage: node scripts/eval.mjs --compare <report-a.json> <report-b.json>');
+    const [a, b] = await Promise.all(positionals.map(f => fs.readFile(path.resolve(f), 'utf8').then(JSON.parse)));
+    process.stdout.write(compareReports(a, b));
+    return;
+  }
+  const report = await runEval({
+    cases: values.cases ? path.resolve(values.cases) : undefined,
+    only: values.case || [],
+    mode: values.record ? 'record' : values.live ? 'live' : 'replay',
+    model: values.model,
+    label: values.label,
+    log: (line) => console.error(line)
+  });
+  const outDir = path.resolve(values.out || DEFAULT_REPORTS);
+  const name = `${report.created_at.replace(/[:.]/g, '-')}${report.label ? `-${report.label.replace(/[^A-Za-z0-9_-]+/g, '_')}` : ''}`;
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(path.join(outDir, `${name}.json`), JSON.stringify(report, null, 2));
+  await fs.writeFile(path.join(outDir, `${name}.md`), reportMarkdown(report));
+  process.stdout.write(reportMarkdown(report));
+  console.error(`Wrote ${path.relative(ROOT, path.join(outDir, name))}.{json,md}`);
+  if (report.failed) process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run().catch(err => { console.error(err); process.exit(1); });
+}
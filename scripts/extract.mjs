@@ -1,28 +1,21 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import OpenAI from 'openai';
+import crypto from 'node:crypto';
 import Ajv from 'ajv';
-
-// API key is provided by GitHub Actions via env var
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-function aggregateResponseText(resp){
-  try{
-    const aggregates = [];
-    const outputItems = Array.isArray(resp?.output) ? resp.output : (Array.isArray(resp?.outputs) ? resp.outputs : []);
-    for (const item of outputItems) {
-      const content = Array.isArray(item?.content) ? item.content : [];
-      for (const seg of content) {
-        if (typeof seg?.text === 'string' && seg.text.trim()) aggregates.push(seg.text.trim());
-        else if (typeof seg?.content === 'string' && seg.content.trim()) aggregates.push(seg.content.trim());
-      }
-    }
-    if (!aggregates.length && Array.isArray(resp?.choices) && resp.choices[0]?.message?.content) {
-      aggregates.push(String(resp.choices[0].message.content));
-    }
-    return aggregates.join('\n').trim();
-  } catch { return ''; }
-}
+import { getProvider } from './providers.mjs';
+import { withCache } from './cache.mjs';
+import { splitTranscript, mergeGraphs } from './chunking.mjs';
+import { chartContextText, parseFhirText, normalizeFhir, selectPatientChart } from './fhir-import.mjs';
+import { validateKg } from './validation.mjs';
+import { loadTerminology, groundKg } from './terminology.mjs';
+import { loadAssumptionRules, detectAssumptions } from './assumptions.mjs';
+import { consensusGraph, consensusProjection } from './consistency.mjs';
+import { checkSpans } from './spans.mjs';
+import { sanitizeText, sanitizeKg } from './sanitize.mjs';
+import { deidentify, reidentifyKg, countByType, saveDeidKey } from './deid.mjs';
+import { generateNote } from './notes.mjs';
+import { parseTranscript, numberTurns, stripTurnMarkers } from './transcript.mjs';
+import { kgSchema, kgResponseSchema, riskProjectionResponseSchema, fixKg, kgErrors } from './kg-schema.mjs';
 
 function repairJsonText(s){
   let t = s;
@@ -36,44 +29,9 @@ function repairJsonText(s){
   return t;
 }
 
-async function callModelWithBackoff(initialParams){
-  let params = { ...initialParams };
-  let resp;
-  for (let i = 0; i < 3; i++) {
-    try {
-      resp = await client.responses.create(params);
-      break;
-    } catch (e) {
-      const msg = String(e?.message || '');
-      const badParam = e?.error?.param || '';
-      if ((badParam === 'temperature' || /temperature/i.test(msg)) && 'temperature' in params) {
-        delete params.temperature;
-        continue;
-      }
-      if ((badParam === 'max_output_tokens' || /max[_ ]?output[_ ]?tokens/i.test(msg)) && 'max_output_tokens' in params) {
-        delete params.max_output_tokens;
-        continue;
-      }
-      if ((badParam === 'response_format' || /response[_ ]?format/i.test(msg)) && 'response_format' in params) {
-        delete params.response_format;
-        continue;
-      }
-      throw e;
-    }
-  }
-  if (!resp) throw new Error('Failed to call model after removing unsupported parameters');
-  return resp;
-}
-
-function parseModelJson(resp, context = 'model output'){
+function parseModelJson(text, context = 'model output'){
   const label = context || 'model output';
-  let jsonText = '';
-  if (resp) {
-    jsonText = (resp.output_text ?? '').trim();
-  }
-  if (!jsonText) {
-    jsonText = aggregateResponseText(resp);
-  }
+  const jsonText = typeof text === 'string' ? text.trim() : '';
   if (!jsonText) {
     throw new Error(`${label}: model returned empty output`);
   }
@@ -153,7 +111,7 @@ Allowed edge types: treats, causes, contraindicated_for, indicates, administered
 Output schema (MUST follow exactly):
 {
   "nodes": [
-    { "id": "string", "type": "<Allowed node type>", "label": "string", "attributes": {"...": "..."}, "source_span": "string" }
+    { "id": "string", "type": "<Allowed node type>", "label": "string", "attributes": {"...": "..."}, "source_span": "string", "turn": 0 }
   ],
   "edges": [
     { "source": "nodeId", "type": "<Allowed edge type>", "target": "nodeId" }
@@ -190,7 +148,12 @@ CRITICAL EXTRACTION RULES:
    • Create Evidence nodes for supporting data/studies mentioned
    • Ensure every claim has supporting evidence or is marked as assumption
 
-4. SUMMARY REQUIREMENTS:
+4. TURN REFERENCES:
+   • The text is split into turns, each starting with a [T#] marker (e.g. [T3] Doctor: ...)
+   • Set "turn" to the number of the turn a node's source_span is quoted from (0 if it has no single source turn)
+   • Never copy the [T#] markers into source_span
+
+5. SUMMARY REQUIREMENTS:
   • First sentence: Key intervention and primary outcomes
   • Second sentence: Critical assumptions or limitations identified
   • Third sentence: Remaining risk factors that may need confirmation through additional diagnostics
@@ -212,15 +175,28 @@ Output must be valid JSON matching this schema:
       "label": "<risk label>",
       "status": "addressed|not_addressed|uncertain",
       "doctor_quote": "brief quote from the doctor supporting the classification or empty string",
+      "doctor_turn": 0,
       "patient_quote": "brief quote from the patient if relevant or empty string",
+      "patient_turn": 0,
       "rationale": "1-2 sentence explanation tying the transcript back to the classification"
     }
   ],
   "summary": "2 sentence overview highlighting addressed vs missing risk factors"
 }
 
+The transcript's turns start with [T#] markers and the speaker's label. Take doctor_quote only from a clinician's turn and patient_quote only from the patient's (or a caregiver's) turn, and set doctor_turn / patient_turn to the number of the quoted turn (0 when there is no quote). Never copy the [T#] markers into quotes.
+
 Use empty strings when quotes are unavailable. Quote only the minimal necessary span from the transcript. Respond with JSON only.`;
 
+// Follow-up when an extracted KG fails validation; the specific errors and the KG are appended
+const REPAIR_PROMPT = `The knowledge graph below does not match the required schema. Fix ONLY the listed problems and return the complete corrected knowledge graph as JSON in the same format.
+- Node types must be one of the allowed node types; edge types one of the allowed edge types.
+- Every node needs a unique id and a label; every edge source and target must be the id of a node in the graph.
+- Keep all other nodes, edges, attributes, source spans and the summary unchanged. Respond with JSON only.`;
+
+// Short hash of the prompts, so results (eval reports, recorded responses) can be tied to the prompt that produced them
+export const PROMPT_VERSION = crypto.createHash('sha256').update(`${PROMPT}\n${RISK_PROJECTION_PROMPT}\n${REPAIR_PROMPT}`).digest('hex').slice(0, 12);
+
 async function projectRiskCoverage(sessionText, kg, opts = {}){
   const transcript = typeof sessionText === 'string' ? sessionText.trim() : '';
   if (!transcript) return null;
@@ -243,27 +219,24 @@ async function projectRiskCoverage(sessionText, kg, opts = {}){
     id: n.id,
     label: n.label,
     attributes: n.attributes || {},
-    source_span: n.source_span || ''
+    source_span: n.source_span || '',
+    turn: n.turn || 0
   }));
 
   const input = `${RISK_PROJECTION_PROMPT}\n\nSession Record Transcript:\n"""${transcript}"""\n\nRisk Factor Nodes (JSON array):\n${JSON.stringify(minimalRiskNodes, null, 2)}`;
 
-  const params = {
-    model,
-    input,
-    response_format: { type: 'json_object' }
-  };
-  if (Number.isFinite(temperature)) params.temperature = temperature;
-  if (Number.isFinite(max_output_tokens)) params.max_output_tokens = max_output_tokens;
-
-  const resp = await callModelWithBackoff(params);
-  const projection = parseModelJson(resp, 'Risk factor projection');
+  const provider = getProvider(opts.provider);
+  const schema = riskProjectionResponseSchema(['addressed', 'not_addressed', 'uncertain']);
+  // opts.sample: self-consistency sample number (extra samples only), kept in the request so each has its own cache key
+  const resp = await provider.generate({ purpose: 'risk_projection', model, input, temperature, max_output_tokens, json: true, schema, ...(opts.sample ? { sample: opts.sample } : {}) });
+  const projection = parseModelJson(resp.text, 'Risk factor projection');
 
   if (!projection || !Array.isArray(projection.risk_factors)) {
     throw new Error('Risk factor projection response missing risk_factors array');
   }
 
   const allowedStatuses = new Set(['addressed', 'not_addressed', 'uncertain']);
+  const turnOf = (value) => (Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : null);
   projection.risk_factors = projection.risk_factors
     .filter(rf => rf && typeof rf.id === 'string' && rf.id.trim())
     .map(rf => {
@@ -274,7 +247,9 @@ async function projectRiskCoverage(sessionText, kg, opts = {}){
         label: typeof rf.label === 'string' ? rf.label.trim() : '',
         status,
         doctor_quote: typeof rf.doctor_quote === 'string' ? rf.doctor_quote.trim() : '',
+        doctor_turn: turnOf(rf.doctor_turn),
         patient_quote: typeof rf.patient_quote === 'string' ? rf.patient_quote.trim() : '',
+        patient_turn: turnOf(rf.patient_turn),
         rationale: typeof rf.rationale === 'string' ? rf.rationale.trim() : ''
       };
     });
@@ -282,6 +257,7 @@ async function projectRiskCoverage(sessionText, kg, opts = {}){
   if (!Array.isArray(projection.risk_factors)) {
     projection.risk_factors = [];
   }
+  stripTurnMarkers(projection);
   if (typeof projection.summary === 'string') {
     projection.summary = projection.summary.trim();
   } else {
@@ -291,38 +267,249 @@ async function projectRiskCoverage(sessionText, kg, opts = {}){
   return projection;
 }
 
+// Post-process common field mismatches (e.g., name -> label)
+function fillMissingLabels(json){
+	if (json && Array.isArray(json.nodes)) {
+		for (const n of json.nodes) {
+			if (n && typeof n === 'object') {
+				// Fill missing label from common alternatives
+				if (!n.label) {
+					const alt = n.name || n.title || n.text || n.value || (n.attributes && (n.attributes.label || n.attributes.name || n.attributes.title));
+					if (alt) n.label = String(alt);
+					if (!n.label && n.id) n.label = String(n.id);
+				}
+				if (typeof n.label === 'string') n.label = n.label.trim();
+			}
+		}
+	}
+	return json;
+}
+
+// Allowed node and edge types (schema enums; also used to validate reviewer edits)
+export const NODE_TYPES = [
+  'Population','Intervention','Comparator','Outcome','Condition','Medication',
+  'Procedure','Anatomy','Finding','Evidence','Mechanism','Guideline',
+  'TimeFrame','RiskFactor','Setting'
+];
+export const EDGE_TYPES = [
+  'treats','causes','contraindicated_for','indicates','administered_to',
+  'compared_with','measured_in','associated_with','supports','located_in',
+  'occurs_during','increases_risk_of','decreases_risk_of','part_of'
+];
+
 export async function extractToKg(inputText, opts = {}){
   const model = (opts.model || process.env.MODEL || 'gpt-4o-mini').trim();
   const temperature = Number.isFinite(Number(opts.temperature ?? process.env.TEMPERATURE)) ? Number(opts.temperature ?? process.env.TEMPERATURE) : 0.2;
   const max_output_tokens = Number.isFinite(Number(opts.max_output_tokens ?? process.env.MAX_OUTPUT_TOKENS)) ? Number(opts.max_output_tokens ?? process.env.MAX_OUTPUT_TOKENS) : 4000;
 
-  const input = `${PROMPT}\n\nText to analyze:\n\n"""${inputText}"""`;
+  // Plain text, WebVTT or SRT (opts.format / TRANSCRIPT_FORMAT, default auto-detected from opts.filename or the text) becomes a header + numbered
+  // speaker turns; every later stage works on its plain-text form (see transcript.mjs)
+  const transcript = parseTranscript(inputText, { format: opts.format || process.env.TRANSCRIPT_FORMAT, filename: opts.filename });
+  // Markup and invisible control characters never reach the model, the stored KG or the viewer (see sanitize.mjs)
+  inputText = sanitizeText(transcript.text);
+
+  // Optional stage callback, e.g. for streaming progress to the viewer: progress(event, data)
+  const progress = typeof opts.onProgress === 'function' ? opts.onProgress : () => {};
+  const baseDir = (typeof opts.baseDir === 'string' && opts.baseDir) ? opts.baseDir : process.cwd();
+
+  // PHI is replaced with surrogates before anything is sent to the model (see deid.mjs).
+  // opts.deidentify: false, or { enabled, atRest, types, names, keyDir }; env DEIDENTIFY, DEID_AT_REST, DEID_TYPES, DEID_KEY_DIR
+  const deidConfig = opts.deidentify && typeof opts.deidentify === 'object' ? opts.deidentify : {};
+  const deidEnabled = typeof opts.deidentify === 'boolean'
+    ? opts.deidentify
+    : (deidConfig.enabled ?? String(process.env.DEIDENTIFY || '').trim().toLowerCase() !== 'false');
+  const keepDeidentified = deidConfig.atRest ?? String(process.env.DEID_AT_REST || '').trim().toLowerCase() === 'true';
+  const keyDir = deidConfig.keyDir || process.env.DEID_KEY_DIR || path.join(baseDir, 'data', 'deid');
+  const originalText = inputText;
+  let deid = null;
+  if (deidEnabled) {
+    const envTypes = String(process.env.DEID_TYPES || '').split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+    deid = deidentify(inputText, {
+      chart: opts.chartContext,
+      names: deidConfig.names,
+      types: deidConfig.types || (envTypes.length ? envTypes : undefined)
+    });
+    inputText = deid.text;
+    progress('deidentification', { surrogates: countByType(deid.entities) });
+  }
 
-  const params = {
-    model,
-    input,
-    response_format: { type: 'json_object' }
-  };
-  if (Number.isFinite(temperature)) params.temperature = temperature;
-  if (Number.isFinite(max_output_tokens)) params.max_output_tokens = max_output_tokens;
+  // The model sees every turn behind a [T#] marker and refers back to it (node.turn, doctor_turn / patient_turn)
+  const numbered = numberTurns(inputText, parseTranscript(inputText, { format: 'text' }).turns);
+
+  // Long records are extracted chunk by chunk (split on speaker turns/sections) and merged afterwards
+  const chunkMaxInput = opts.chunk_max_chars ?? opts.chunkMaxChars ?? process.env.CHUNK_MAX_CHARS;
+  const chunks = splitTranscript(numbered.text, { maxChars: chunkMaxInput });
+
+  // Known chart (normalized FHIR, see fhir-import.mjs) helps the model resolve drug/problem references
+  const chartText = opts.chartContext ? chartContextText(opts.chartContext) : '';
+  const chartBlock = chartText
+    ? `\n\nKnown chart context from the patient's record (use it to recognize and name problems, medications and allergies consistently; only extract what the text itself discusses):\n${chartText}`
+    : '';
+
+  progress('extraction_started', { model, chunks: chunks.length });
+  // opts.cache: a mode or { mode, dir }; env LLM_CACHE, LLM_CACHE_DIR (see cache.mjs)
+  const provider = withCache(getProvider(opts.provider), typeof opts.cache === 'object' && opts.cache ? opts.cache : { mode: opts.cache });
+  // Structured output: the model is held to the same type lists Ajv checks below
+  const types = { nodeTypes: NODE_TYPES, edgeTypes: EDGE_TYPES };
+  const schema = kgResponseSchema(NODE_TYPES, EDGE_TYPES);
+  const repairInput = opts.repairAttempts ?? process.env.KG_REPAIR_ATTEMPTS;
+  const repairAttempts = Number.isFinite(Number(repairInput)) && String(repairInput).trim() !== '' ? Math.max(0, Number(repairInput)) : 2;
+  const validate = new Ajv({ allErrors: true, strict: false }).compile(kgSchema(NODE_TYPES, EDGE_TYPES));
+
+  // Optional self-consistency mode (see consistency.mjs): opts.samples / CONSISTENCY_SAMPLES extractions, the extra ones at
+  // opts.sampleTemperature / CONSISTENCY_TEMPERATURE, merged into a consensus graph at opts.consensusThreshold / CONSISTENCY_THRESHOLD
+  const samplesInput = opts.samples ?? process.env.CONSISTENCY_SAMPLES;
+  const sampleCount = Number.isInteger(Number(samplesInput)) && Number(samplesInput) > 1 ? Math.min(Number(samplesInput), 10) : 1;
+  const sampleTemperatureInput = opts.sampleTemperature ?? process.env.CONSISTENCY_TEMPERATURE;
+  const sampleTemperature = Number.isFinite(Number(sampleTemperatureInput)) && String(sampleTemperatureInput).trim() !== '' ? Number(sampleTemperatureInput) : 0.7;
+  const thresholdInput = opts.consensusThreshold ?? process.env.CONSISTENCY_THRESHOLD;
+  const threshold = Number.isFinite(Number(thresholdInput)) && String(thresholdInput).trim() !== '' ? Number(thresholdInput) : 0.5;
+  // Extra samples differ from the primary call only in `sample` and temperature, which also gives them their own cache keys
+  const sampleRequest = (sample) => (sample === 0 ? {} : { sample, temperature: sampleTemperature });
+
+  // One extraction: chunk by chunk when needed, then deterministic fixes (near-miss types, dangling edges, duplicate ids),
+  // JSON Schema and consistency checks; remaining errors go back to the model for a bounded number of repair rounds
+  // (opts.repairAttempts / KG_REPAIR_ATTEMPTS). Progress is only reported for the primary sample.
+  async function extractSample(sample){
+    const report = sample === 0 ? progress : () => {};
+    const fixes = [];
+    let json;
+    if (chunks.length === 1) {
+      const input = `${PROMPT}${chartBlock}\n\nText to analyze:\n\n"""${numbered.text}"""`;
+      const resp = await provider.generate({ purpose: 'extraction', model, input, temperature, max_output_tokens, json: true, schema, ...sampleRequest(sample) });
+      json = fillMissingLabels(parseModelJson(resp.text, 'Knowledge graph extraction'));
+    } else {
+      const partials = [];
+      for (const chunk of chunks) {
+        const input = `${PROMPT}${chartBlock}\n\nThis is part ${chunk.index + 1} of ${chunks.length} of a longer session record. Extract only what this part contains.\n\nText to analyze:\n\n"""${chunk.text}"""`;
+        const resp = await provider.generate({ purpose: 'extraction', model, input, temperature, max_output_tokens, json: true, schema, ...sampleRequest(sample) });
+        const kg = fillMissingLabels(parseModelJson(resp.text, `Knowledge graph extraction (chunk ${chunk.index + 1}/${chunks.length})`));
+        // Fix types before merging, so entities named with a near-miss type still merge with their duplicates
+        fixes.push(...fixKg(kg, types).map(f => `chunk ${chunk.index + 1}: ${f}`));
+        partials.push({ chunk: chunk.index, kg });
+        report('chunk_extracted', {
+          chunk: chunk.index + 1,
+          chunks: chunks.length,
+          nodes: Array.isArray(kg?.nodes) ? kg.nodes.length : 0,
+          edges: Array.isArray(kg?.edges) ? kg.edges.length : 0
+        });
+      }
+      json = mergeGraphs(partials);
+      json.chunks = chunks.map(c => ({ index: c.index, start: numbered.toSource(c.start), end: numbered.toSource(c.end) }));
+    }
+    const sanitized = sanitizeKg(json);
+    stripTurnMarkers(json);
+    report('extraction_finished', {
+      nodes: Array.isArray(json?.nodes) ? json.nodes.length : 0,
+      edges: Array.isArray(json?.edges) ? json.edges.length : 0,
+      sanitized
+    });
 
-  const resp = await callModelWithBackoff(params);
-  const json = parseModelJson(resp, 'Knowledge graph extraction');
+    fixes.push(...fixKg(json, types));
+    let errors = kgErrors(json, validate);
+    for (let attempt = 1; errors.length && attempt <= repairAttempts; attempt++) {
+      report('repair', { attempt, of: repairAttempts, errors: errors.slice(0, 20) });
+      const input = `${REPAIR_PROMPT}\n\nAllowed node types: ${NODE_TYPES.join(', ')}\nAllowed edge types: ${EDGE_TYPES.join(', ')}\n\nProblems:\n${errors.slice(0, 50).map(e => `- ${e}`).join('\n')}\n\nKnowledge graph:\n${JSON.stringify(json)}`;
+      try {
+        const resp = await provider.generate({ purpose: 'repair', model, input, temperature: 0, max_output_tokens, json: true, schema, ...(sample ? { sample } : {}) });
+        const repaired = fillMissingLabels(parseModelJson(resp.text, `Knowledge graph repair (attempt ${attempt})`));
+        sanitizeKg(repaired);
+        stripTurnMarkers(repaired);
+        fixes.push(...fixKg(repaired, types));
+        const repairedErrors = kgErrors(repaired, validate);
+        // Keep the repaired graph only if it is no worse than the one sent
+        if (repairedErrors.length <= errors.length) {
+          // The response schema has no room for bookkeeping such as chunk provenance; carry it over by node id
+          const before = new Map((Array.isArray(json?.nodes) ? json.nodes : []).map(n => [n?.id, n]));
+          for (const node of Array.isArray(repaired?.nodes) ? repaired.nodes : []) {
+            for (const [key, value] of Object.entries(before.get(node.id) || {})) if (!(key in node)) node[key] = value;
+          }
+          if (json?.chunks) repaired.chunks = json.chunks;
+          json = repaired;
+          errors = repairedErrors;
+        }
+      } catch (e) {
+        console.error(`Repair attempt ${attempt} failed:`, e?.message || e);
+      }
+    }
+    if (errors.length) {
+      const message = `Invalid KG schema: ${errors.join('; ')}`;
+      report('validation', { ok: false, error: message });
+      throw new Error(message);
+    }
+    if (fixes.length) json.fixes = fixes;
+    report('validation', { ok: true, nodes: json.nodes.length, edges: json.edges.length, fixes: fixes.length });
+    return json;
+  }
+
+  let json = await extractSample(0);
+  if (sampleCount > 1) {
+    // A sample that fails validation is left out of the vote rather than failing the run
+    const samples = [json];
+    const failed = [];
+    for (let sample = 1; sample < sampleCount; sample++) {
+      let ok = true;
+      try {
+        samples.push(await extractSample(sample));
+      } catch (e) {
+        ok = false;
+        failed.push({ sample: sample + 1, error: String(e?.message || e) });
+      }
+      progress('consistency_sample', { sample: sample + 1, samples: sampleCount, ok });
+    }
+    const { kg, dropped } = consensusGraph(samples, { threshold });
+    json = kg;
+    json.self_consistency = { samples: samples.length, requested: sampleCount, threshold, temperature: sampleTemperature, failed, dropped };
+    progress('consensus', { samples: samples.length, nodes: json.nodes.length, edges: json.edges.length, dropped_nodes: dropped.nodes.length, dropped_edges: dropped.edges.length });
+  }
+
+  // Attach SNOMED CT / RxNorm codes from the local terminology table (see terminology.mjs)
+  const groundingToggle = typeof opts.groundTerminology === 'boolean'
+    ? opts.groundTerminology
+    : String(process.env.GROUND_TERMINOLOGY || '').trim().toLowerCase() !== 'false';
+  if (groundingToggle) {
+    const table = opts.terminology && typeof opts.terminology === 'object' ? opts.terminology : await loadTerminology(opts.terminology);
+    groundKg(json, table);
+    progress('grounding', { grounded: json.terminology.grounded, unmatched: json.terminology.unmatched, qualified: json.terminology.qualified });
+  }
 
+  // Risk projection only runs on a graph that passed validation
   const projectionToggleEnv = typeof process.env.PROJECT_RISK_PROJECTION === 'string'
     ? process.env.PROJECT_RISK_PROJECTION.trim().toLowerCase() !== 'false'
     : true;
   const projectionToggle = typeof opts.projectRiskCoverage === 'boolean' ? opts.projectRiskCoverage : projectionToggleEnv;
 
   if (projectionToggle) {
-    const projection = await projectRiskCoverage(inputText, json, {
+    const riskCount = json.nodes.filter(n => n.type === 'RiskFactor').length;
+    progress('risk_projection_started', { risk_factors: riskCount });
+    const riskOpts = {
       model: opts.risk_model || opts.riskModel,
       temperature: opts.risk_temperature ?? opts.riskTemperature,
       max_output_tokens: opts.risk_max_output_tokens ?? opts.riskMaxOutputTokens,
-      fallbackModel: model
-    });
+      fallbackModel: model,
+      provider
+    };
+    let projection = await projectRiskCoverage(numbered.text, json, riskOpts);
+    // In self-consistency mode every risk status is put to a vote over as many projections as there were samples
+    if (projection && sampleCount > 1) {
+      const projections = [projection];
+      for (let sample = 1; sample < sampleCount; sample++) {
+        try {
+          projections.push(await projectRiskCoverage(numbered.text, json, { ...riskOpts, temperature: sampleTemperature, sample }));
+        } catch (e) {
+          console.error(`Risk projection sample ${sample + 1} failed:`, e?.message || e);
+        }
+      }
+      projection = consensusProjection(projections);
+      projection.samples = projections.length;
+    }
     if (projection) {
+      sanitizeKg(projection);
       json.risk_projection = projection;
+      for (const rf of projection.risk_factors) {
+        progress('risk_factor', { id: rf.id, label: rf.label, status: rf.status, ...(rf.confidence != null ? { confidence: rf.confidence } : {}) });
+      }
+      progress('risk_projection_finished', { risk_factors: projection.risk_factors.length, summary: projection.summary });
       if (Array.isArray(json.nodes)) {
         const coverageMap = new Map((projection.risk_factors || []).map(rf => [rf.id, rf]));
         for (const node of json.nodes) {
@@ -331,6 +518,7 @@ export async function extractToKg(inputText, opts = {}){
             if (info) {
               node.attributes = node.attributes || {};
               node.attributes.coverage_status = info.status;
+              if (info.confidence != null) node.attributes.coverage_confidence = info.confidence;
               if (info.doctor_quote) node.attributes.doctor_quote = info.doctor_quote;
               if (info.patient_quote) node.attributes.patient_quote = info.patient_quote;
               if (info.rationale) node.attributes.coverage_rationale = info.rationale;
@@ -341,102 +529,105 @@ export async function extractToKg(inputText, opts = {}){
     }
   }
 
-	// Post-process common field mismatches (e.g., name -> label)
-	if (json && Array.isArray(json.nodes)) {
-		for (const n of json.nodes) {
-			if (n && typeof n === 'object') {
-				// Fill missing label from common alternatives
-				if (!n.label) {
-					const alt = n.name || n.title || n.text || n.value || (n.attributes && (n.attributes.label || n.attributes.name || n.attributes.title));
-					if (alt) n.label = String(alt);
-					if (!n.label && n.id) n.label = String(n.id);
-				}
-				if (typeof n.label === 'string') n.label = n.label.trim();
-			}
-		}
-	}
+  // What produced this KG: prompt version and the cache key of every model call (replayable with LLM_CACHE=replay)
+  json.generation = { prompt_version: PROMPT_VERSION, model, cache_mode: provider.mode, calls: provider.calls };
+
+  // Back to the real identifiers, unless the KG stays de-identified at rest (its surrogate key is then stored apart)
+  if (deid) {
+    const surrogates = countByType(deid.entities);
+    if (keepDeidentified) {
+      const keyId = deid.entities.length ? await saveDeidKey(keyDir, deid.entities) : null;
+      json.deidentification = { at_rest: true, key_id: keyId, surrogates };
+    } else {
+      reidentifyKg(json, deid.entities);
+      inputText = originalText;
+      json.deidentification = { at_rest: false, surrogates };
+    }
+  }
 
-  // JSON Schema validation and consistency checks
-  const ajv = new Ajv({ allErrors: true, strict: false });
-  const nodeTypes = [
-		'Population','Intervention','Comparator','Outcome','Condition','Medication',
-		'Procedure','Anatomy','Finding','Evidence','Mechanism','Guideline',
-		'TimeFrame','RiskFactor','Setting'
-	];
-  const edgeTypes = [
-		'treats','causes','contraindicated_for','indicates','administered_to',
-		'compared_with','measured_in','associated_with','supports','located_in',
-		'occurs_during','increases_risk_of','decreases_risk_of','part_of'
-	];
-  const schema = {
-		type: 'object',
-		required: ['nodes','edges'],
-		properties: {
-			summary: { type: 'string' },
-			nodes: {
-				type: 'array',
-				items: {
-					type: 'object',
-					required: ['id','type','label'],
-					properties: {
-						id: { type: 'string', minLength: 1 },
-						type: { type: 'string', enum: nodeTypes },
-						label: { type: 'string' },
-						attributes: { type: 'object', additionalProperties: true },
-						source_span: { type: 'string' }
-					},
-					additionalProperties: true
-				}
-			},
-			edges: {
-				type: 'array',
-				items: {
-					type: 'object',
-					required: ['source','type','target'],
-					properties: {
-						source: { type: 'string', minLength: 1 },
-						type: { type: 'string', enum: edgeTypes },
-						target: { type: 'string', minLength: 1 }
-					},
-					additionalProperties: true
-				}
-			}
-		},
-		additionalProperties: true
-  };
-  const validate = ajv.compile(schema);
-  const valid = validate(json);
-  if (!valid) {
-		const msg = validate.errors?.map(e => `${e.instancePath} ${e.message}`).join('; ');
-		throw new Error(`Invalid KG schema: ${msg}`);
+  // Verify source spans and projection quotes against the transcript; offsets refer to `source_text`.
+  // Located spans also tie nodes and quotes to their turn and speaker (see attributeTurns in transcript.mjs)
+  json.source_text = String(inputText ?? '');
+  json.transcript = { format: transcript.format, header: transcript.header, turns: transcript.turns };
+  checkSpans(json, json.source_text);
+  progress('span_check', {
+    checked: json.span_check.checked,
+    grounded: json.span_check.grounded,
+    partial: json.span_check.partial,
+    hallucinated: json.span_check.hallucinated.length
+  });
+
+  // Clinical checks against the chart (allergies, duplicate classes, contraindications); see validation.mjs
+  if (opts.chartContext) {
+    json.validations = validateKg(json, opts.chartContext);
+    progress('clinical_validation', { counts: json.validations.counts, issues: json.validations.issues.length });
   }
 
-  // Consistency checks: unique node ids and edge references
-  const ids = new Set();
-  for (const n of json.nodes) {
-		if (ids.has(n.id)) throw new Error(`Duplicate node id: ${n.id}`);
-		ids.add(n.id);
+  // Open assumptions: deterministic graph rules over the checked KG (see assumptions.mjs); opts.detectAssumptions or DETECT_ASSUMPTIONS=false
+  const assumptionToggle = typeof opts.detectAssumptions === 'boolean'
+    ? opts.detectAssumptions
+    : String(process.env.DETECT_ASSUMPTIONS || '').trim().toLowerCase() !== 'false';
+  if (assumptionToggle) {
+    const rules = Array.isArray(opts.assumptionRules) ? opts.assumptionRules : await loadAssumptionRules(opts.assumptionRules);
+    json.assumptions = detectAssumptions(json, rules);
+    progress('assumptions', { open: json.assumptions.items.length, counts: json.assumptions.counts });
   }
-  for (const e of json.edges) {
-		if (!ids.has(e.source)) throw new Error(`Edge source not found: ${e.source}`);
-		if (!ids.has(e.target)) throw new Error(`Edge target not found: ${e.target}`);
+
+  // Optional SOAP note + after-visit summary (see notes.mjs); opts.generateNote or GENERATE_NOTE=true
+  const noteToggle = typeof opts.generateNote === 'boolean' ? opts.generateNote : String(process.env.GENERATE_NOTE || '').trim().toLowerCase() === 'true';
+  if (noteToggle) {
+    progress('note_started', {});
+    const { note, entities } = await generateNote(json, {
+      chart: opts.chartContext,
+      model: opts.note_model || opts.noteModel,
+      provider,
+      deidentify: Boolean(deid),
+      entities: deid?.entities,
+      keepDeidentified
+    });
+    json.note = note;
+    // Surrogates first seen in the note prompt belong in the stored key too
+    if (deid && keepDeidentified && entities.length > deid.entities.length) {
+      json.deidentification.key_id = await saveDeidKey(keyDir, entities, json.deidentification.key_id || undefined);
+    }
+    progress('note_finished', {
+      statements: Object.values(note.soap).reduce((sum, items) => sum + items.length, 0),
+      follow_ups: note.follow_ups.length
+    });
   }
 
 	if (opts.writeFile !== false){
-		const baseDir = (typeof opts.baseDir === 'string' && opts.baseDir) ? opts.baseDir : process.cwd();
 		const outPath = typeof opts.outputPath === 'string' && opts.outputPath
 			? (path.isAbsolute(opts.outputPath) ? opts.outputPath : path.join(baseDir, opts.outputPath))
 			: path.join(baseDir, 'data', 'kg.json');
 		await fs.mkdir(path.dirname(outPath), { recursive: true });
 		await fs.writeFile(outPath, JSON.stringify(json, null, 2));
 		console.log('Wrote', outPath);
+		progress('written', { path: path.relative(baseDir, outPath) });
 	}
   return json;
 }
 
+// Chart for the CLI from CHART_FILE (default data/fhir.json) and PATIENT_ID, as the server loads it: it gives
+// de-identification the patient's names and enables clinical validation. No default file means no chart.
+async function loadCliChart(){
+  const file = process.env.CHART_FILE || path.join(process.cwd(), 'data', 'fhir.json');
+  let raw;
+  try {
+    raw = parseFhirText(await fs.readFile(path.resolve(file), 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT' && !process.env.CHART_FILE) return null;
+    throw e;
+  }
+  const chart = selectPatientChart(normalizeFhir(raw), process.env.PATIENT_ID || '');
+  if (!chart && process.env.PATIENT_ID) throw new Error(`Patient ${process.env.PATIENT_ID} not found in ${file}`);
+  return chart;
+}
+
 async function run(){
   const inputText = await resolveInputText();
-  await extractToKg(inputText);
+  const chart = await loadCliChart();
+  await extractToKg(inputText, chart ? { chartContext: chart } : {});
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -0,0 +1,176 @@
+import crypto from 'node:crypto';
+
+// Maps an extracted KG to draft FHIR R4 resources in a transaction Bundle.
+// Everything is marked preliminary/draft: the graph is a proposal for clinician review, not chart data.
+
+const EXTRACTOR_DISPLAY = 'Articula knowledge graph extractor';
+
+// Deterministic UUID so re-exporting the same session yields the same fullUrls
+export function stableUuid(...parts){
+  const hex = crypto.createHash('sha1').update(parts.join(':')).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function codeableConcept(node){
+  const concept = { text: node.label || node.id };
+  const codes = Array.isArray(node.codes) ? node.codes : [];
+  const coding = codes
+    .filter(c => c && c.system && c.code)
+    .map(c => ({ system: c.system, code: String(c.code), ...(c.display ? { display: c.display } : {}) }));
+  if (coding.length) concept.coding = coding;
+  return concept;
+}
+
+function attr(node, key){
+  const v = node?.attributes?.[key];
+  return v == null || v === '' ? '' : String(v);
+}
+
+function noteFor(node){
+  const span = typeof node.source_span === 'string' ? node.source_span.trim() : '';
+  return span ? [{ text: `Source: "${span}"` }] : undefined;
+}
+
+const MAPPERS = {
+  Condition(node, subject){
+    return {
+      resourceType: 'Condition',
+      verificationStatus: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'provisional' }]
+      },
+      code: codeableConcept(node),
+      subject,
+      note: noteFor(node)
+    };
+  },
+  Medication(node, subject){
+    const sig = [attr(node, 'dosage'), attr(node, 'route'), attr(node, 'frequency')].filter(Boolean).join(', ');
+    return {
+      resourceType: 'MedicationRequest',
+      status: 'draft',
+      intent: 'proposal',
+      medicationCodeableConcept: codeableConcept(node),
+      subject,
+      dosageInstruction: sig ? [{ text: sig }] : undefined,
+      note: noteFor(node)
+    };
+  },
+  Finding(node, subject){
+    return observation(node, subject);
+  },
+  Outcome(node, subject){
+    return observation(node, subject);
+  },
+  Procedure(node, subject){
+    return {
+      resourceType: 'Procedure',
+      status: 'unknown',
+      code: codeableConcept(node),
+      subject,
+      note: noteFor(node)
+    };
+  },
+  RiskFactor(node, subject){
+    const qualitative = [attr(node, 'severity') && `severity: ${attr(node, 'severity')}`, attr(node, 'likelihood') && `likelihood: ${attr(node, 'likelihood')}`]
+      .filter(Boolean).join('; ');
+    const notes = noteFor(node) || [];
+    const status = attr(node, 'coverage_status');
+    if (status) {
+      const rationale = attr(node, 'coverage_rationale');
+      notes.push({ text: `Session coverage: ${status}${rationale ? ` — ${rationale}` : ''}` });
+    }
+    return {
+      resourceType: 'RiskAssessment',
+      status: 'preliminary',
+      subject,
+      prediction: [{
+        outcome: codeableConcept(node),
+        ...(qualitative ? { qualitativeRisk: { text: qualitative } } : {})
+      }],
+      note: notes.length ? notes : undefined
+    };
+  }
+};
+
+function observation(node, subject){
+  const value = [attr(node, 'value'), attr(node, 'unit')].filter(Boolean).join(' ');
+  const metric = attr(node, 'metric_name');
+  return {
+    resourceType: 'Observation',
+    status: 'preliminary',
+    category: node.type === 'Finding'
+      ? [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'exam' }] }]
+      : undefined,
+    code: metric ? { text: metric } : codeableConcept(node),
+    subject,
+    ...(value ? { valueString: value } : {}),
+    // With a metric name the label no longer appears in `code`, so keep it as a note
+    note: metric ? [{ text: node.label }, ...(noteFor(node) || [])] : noteFor(node)
+  };
+}
+
+function stripUndefined(obj){
+  return JSON.parse(JSON.stringify(obj));
+}
+
+export const EXPORTED_NODE_TYPES = Object.keys(MAPPERS);
+
+// kg: extracted graph; fhir: chart context shaped like data/fhir.json (only `patient` is used);
+// opts.patientId: the session's patient, which the chart must belong to. Throws (status 409) on a mismatch.
+export function kgToFhirBundle(kg, fhir, opts = {}){
+  const chartPatientId = fhir?.patient?.id || '';
+  if (opts.patientId && chartPatientId && chartPatientId !== opts.patientId) {
+    const err = new Error(`Chart is for patient ${chartPatientId}, not the session's patient ${opts.patientId}`);
+    err.status = 409;
+    throw err;
+  }
+  const patientId = opts.patientId || chartPatientId;
+  const sessionId = kg?.session?.id || opts.sessionId || 'kg';
+  // subject is required (1..1) on Condition, Procedure, MedicationRequest and RiskAssessment; without a known
+  // patient it is a logical reference to the session's patient
+  const subject = patientId
+    ? { reference: `Patient/${patientId}` }
+    : { type: 'Patient', identifier: { system: 'urn:articula:session', value: sessionId }, display: `Patient of session ${sessionId} (not linked to a chart)` };
+  const recorded = opts.recorded || kg?.session?.created_at || new Date().toISOString();
+  const entries = [];
+
+  for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+    const mapper = node && MAPPERS[node.type];
+    if (!mapper) continue;
+    const resource = stripUndefined(mapper(node, subject));
+    resource.identifier = [{ system: 'urn:articula:kg-node', value: `${sessionId}/${node.id}` }];
+    const fullUrl = `urn:uuid:${stableUuid(sessionId, node.id)}`;
+    entries.push({ fullUrl, resource, request: { method: 'POST', url: resource.resourceType } });
+
+    const span = typeof node.source_span === 'string' ? node.source_span.trim() : '';
+    entries.push({
+      fullUrl: `urn:uuid:${stableUuid(sessionId, node.id, 'provenance')}`,
+      resource: stripUndefined({
+        resourceType: 'Provenance',
+        target: [{ reference: fullUrl }],
+        recorded,
+        activity: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation', code: 'CREATE' }] },
+        agent: [{
+          type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'assembler' }] },
+          who: { display: EXTRACTOR_DISPLAY }
+        }],
+        entity: [{
+          role: 'source',
+          what: {
+            identifier: { system: 'urn:articula:session', value: sessionId },
+            display: span || `Session ${sessionId} (no source span recorded)`
+          }
+        }]
+      }),
+      request: { method: 'POST', url: 'Provenance' }
+    });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: stableUuid(sessionId, 'bundle'),
+    type: 'transaction',
+    timestamp: recorded,
+    entry: entries
+  };
+}
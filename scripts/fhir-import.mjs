@@ -0,0 +1,188 @@
+// Normalizes FHIR input into the chart shape the viewer and extractor use (the shape of data/fhir.json):
+//   { patient, problems, allergies, medications, observations, encounters, formulary }
+// Accepts R4 Bundles (any type), single resources, NDJSON bulk exports, or that chart shape itself.
+// No Node-only imports: the viewer loads this module directly with import().
+
+const INACTIVE_MED_STATUSES = new Set(['stopped', 'completed', 'entered-in-error', 'cancelled', 'not-taken']);
+
+// Parse raw file text: JSON (Bundle, resource, array, chart) or NDJSON (one resource per line)
+export function parseFhirText(text){
+  const src = String(text ?? '').trim();
+  if (!src) throw new Error('Empty FHIR input');
+  try {
+    return JSON.parse(src);
+  } catch (e) {
+    const lines = src.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length < 2) throw e;
+    return lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid NDJSON at line ${i + 1}`);
+      }
+    });
+  }
+}
+
+function isChartShape(input){
+  return input && typeof input === 'object' && !Array.isArray(input) && !input.resourceType
+    && input.patient && typeof input.patient === 'object';
+}
+
+// Flatten Bundles (including nested ones) into [{ fullUrl, resource }]
+function collectResources(input, out = []){
+  if (Array.isArray(input)) {
+    input.forEach(item => collectResources(item, out));
+    return out;
+  }
+  if (!input || typeof input !== 'object') return out;
+  if (input.resourceType === 'Bundle') {
+    for (const entry of Array.isArray(input.entry) ? input.entry : []) {
+      if (entry?.resource?.resourceType === 'Bundle') collectResources(entry.resource, out);
+      else if (entry?.resource) out.push({ fullUrl: entry.fullUrl || '', resource: entry.resource });
+    }
+    return out;
+  }
+  if (input.resourceType) out.push({ fullUrl: '', resource: input });
+  return out;
+}
+
+function codeString(value){
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value.coding?.[0]?.code || value.text || '';
+}
+
+function conceptText(concept){
+  if (!concept) return '';
+  return concept.text || concept.coding?.find(c => c?.display)?.display || concept.coding?.[0]?.code || '';
+}
+
+// Keep the CodeableConcept (codings included) but make sure `text` is filled for display and matching
+function withText(concept){
+  if (!concept || typeof concept !== 'object') return concept;
+  return concept.text ? concept : { ...concept, text: conceptText(concept) };
+}
+
+function dosageText(resource){
+  const list = resource.dosageInstruction || resource.dosage || [];
+  return (Array.isArray(list) ? list : [])
+    .map(d => d?.text || [d?.doseAndRate?.[0]?.doseQuantity?.value, d?.doseAndRate?.[0]?.doseQuantity?.unit, d?.route?.text, d?.timing?.code?.text].filter(Boolean).join(' '))
+    .filter(Boolean)
+    .map(text => ({ text }));
+}
+
+function emptyChart(patient){
+  return { patient, problems: [], allergies: [], medications: [], observations: [], encounters: [], formulary: null };
+}
+
+// Returns { patients: [chart, ...] }, one chart per Patient resource (in input order)
+export function normalizeFhir(input){
+  if (isChartShape(input)) return { patients: [input] };
+  if (Array.isArray(input) && input.length && input.every(isChartShape)) return { patients: input };
+
+  const items = collectResources(input);
+  const charts = new Map();
+  const refIndex = new Map();
+  const medications = new Map();
+
+  for (const { fullUrl, resource } of items) {
+    if (resource.resourceType === 'Patient') {
+      const chart = emptyChart(resource);
+      const key = resource.id || fullUrl || `patient-${charts.size + 1}`;
+      charts.set(key, chart);
+      if (resource.id) refIndex.set(`Patient/${resource.id}`, key);
+      if (fullUrl) refIndex.set(fullUrl, key);
+    } else if (resource.resourceType === 'Medication') {
+      if (resource.id) medications.set(`Medication/${resource.id}`, resource);
+      if (fullUrl) medications.set(fullUrl, resource);
+    }
+  }
+  if (!charts.size) throw new Error('No Patient resource found in FHIR input');
+
+  // Only resources whose subject resolves to a Patient of this input are charted; one without a usable reference
+  // could belong to anyone, so it is skipped rather than guessed
+  const chartFor = (resource) => {
+    const ref = resource.subject?.reference || resource.patient?.reference || '';
+    const key = refIndex.get(ref) || refIndex.get(ref.replace(/^.*\/(Patient\/[^/]+)$/, '$1'));
+    return key ? charts.get(key) : null;
+  };
+
+  for (const { resource } of items) {
+    const chart = resource.resourceType === 'Patient' ? null : chartFor(resource);
+    if (!chart) continue;
+    switch (resource.resourceType) {
+      case 'Condition':
+        chart.problems.push({
+          ...resource,
+          code: withText(resource.code),
+          clinicalStatus: codeString(resource.clinicalStatus),
+          verificationStatus: codeString(resource.verificationStatus)
+        });
+        break;
+      case 'AllergyIntolerance':
+        chart.allergies.push({
+          ...resource,
+          code: withText(resource.code),
+          clinicalStatus: codeString(resource.clinicalStatus)
+        });
+        break;
+      case 'MedicationStatement':
+      case 'MedicationRequest': {
+        if (INACTIVE_MED_STATUSES.has(resource.status)) break;
+        const referenced = medications.get(resource.medicationReference?.reference || '');
+        const concept = resource.medicationCodeableConcept || referenced?.code
+          || (resource.medicationReference?.display ? { text: resource.medicationReference.display } : null);
+        chart.medications.push({
+          ...resource,
+          medicationCodeableConcept: withText(concept) || { text: '' },
+          dosageInstruction: dosageText(resource)
+        });
+        break;
+      }
+      case 'Observation':
+        chart.observations.push({ ...resource, code: withText(resource.code) });
+        break;
+      case 'Encounter':
+        chart.encounters.push(resource);
+        break;
+    }
+  }
+
+  for (const chart of charts.values()) {
+    chart.encounters.sort((a, b) => String(b.period?.start || '').localeCompare(String(a.period?.start || '')));
+    chart.observations.sort((a, b) => String(b.effectiveDateTime || '').localeCompare(String(a.effectiveDateTime || '')));
+  }
+  return { patients: [...charts.values()] };
+}
+
+export function patientDisplayName(patient){
+  const name = patient?.name?.[0];
+  if (!name) return patient?.id || 'Unknown';
+  if (name.text) return name.text;
+  return [...(name.given || []), name.family].filter(Boolean).join(' ') || patient?.id || 'Unknown';
+}
+
+// Pick a chart by Patient id: the first chart when id is empty, null when no chart has that id
+export function selectPatientChart(normalized, patientId){
+  const patients = normalized?.patients || [];
+  if (!patientId) return patients[0] || null;
+  return patients.find(c => c?.patient?.id === patientId) || null;
+}
+
+// Compact, prompt-friendly summary of the chart for extraction
+export function chartContextText(chart){
+  if (!chart) return '';
+  const list = (items, fn) => (items || []).map(fn).filter(Boolean).join('; ') || 'none recorded';
+  const codeOf = (concept) => {
+    const c = concept?.coding?.find(x => x?.code);
+    if (!c) return '';
+    const system = /snomed/i.test(c.system || '') ? 'SNOMED' : /rxnorm/i.test(c.system || '') ? 'RxNorm' : /loinc/i.test(c.system || '') ? 'LOINC' : (c.system || '');
+    return ` [${system} ${c.code}]`;
+  };
+  return [
+    `Known problems: ${list(chart.problems, c => conceptText(c.code) && `${conceptText(c.code)}${codeOf(c.code)}${c.clinicalStatus ? ` (${c.clinicalStatus})` : ''}`)}`,
+    `Active medications: ${list(chart.medications, m => conceptText(m.medicationCodeableConcept) && `${conceptText(m.medicationCodeableConcept)}${codeOf(m.medicationCodeableConcept)}`)}`,
+    `Allergies: ${list(chart.allergies, a => conceptText(a.code) && `${conceptText(a.code)}${codeOf(a.code)}${a.reaction?.[0]?.manifestation?.[0]?.text ? ` (${a.reaction[0].manifestation[0].text})` : ''}`)}`
+  ].join('\n');
+}
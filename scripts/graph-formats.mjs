@@ -0,0 +1,461 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import Ajv from 'ajv';
+import { NODE_TYPES, EDGE_TYPES } from './extract.mjs';
+import { kgSchema, kgErrors } from './kg-schema.mjs';
+
+// Interchange formats for a KG: GraphML (Gephi, yEd, NetworkX), RDF/Turtle (triple stores), node/edge CSV pairs and
+// Neo4j import scripts, plus import of GraphML and CSV back into a validated kg.json.
+//   node scripts/graph-formats.mjs export data/kg.json --format graphml,turtle --out exports/
+//   node scripts/graph-formats.mjs import exports/kg.graphml --out data/kg.json
+//   node scripts/graph-formats.mjs import exports/kg-nodes.csv --edges exports/kg-edges.csv
+// Every format carries node attributes, source spans, turns, codes, self-consistency confidence and the
+// risk projection fields (coverage status, quotes, rationale) of each risk factor.
+
+export const EXPORT_FORMATS = ['graphml', 'turtle', 'csv', 'neo4j'];
+export const IMPORT_FORMATS = ['graphml', 'csv'];
+
+// RDF vocabulary: classes kg:<NodeType> (subclasses of kg:Node), properties kg:<edge_type> between nodes
+export const KG_NAMESPACE = 'urn:articula:kg:';
+
+const NODE_FIELDS = ['session', 'id', 'type', 'label', 'source_span', 'turn', 'speaker', 'confidence', 'codes', 'attributes',
+  'coverage_status', 'coverage_confidence', 'doctor_quote', 'patient_quote', 'coverage_rationale'];
+const EDGE_FIELDS = ['session', 'source', 'target', 'type', 'confidence', 'attributes'];
+const NUMERIC_FIELDS = { turn: 'int', confidence: 'double', coverage_confidence: 'double' };
+const JSON_FIELDS = new Set(['codes', 'attributes']);
+
+const isEmpty = (value) => value == null || value === '' || (typeof value === 'object' && !Object.keys(value).length);
+
+// One flat record per node / edge, shared by every format
+function flatten(kg){
+  const session = String(kg?.session?.id || '');
+  const coverage = new Map((kg?.risk_projection?.risk_factors || []).map(rf => [String(rf.id), rf]));
+  const nodes = (Array.isArray(kg?.nodes) ? kg.nodes : []).map(n => {
+    const rf = coverage.get(String(n.id)) || {};
+    const attrs = n.attributes || {};
+    return {
+      session,
+      id: String(n.id),
+      type: n.type,
+      label: n.label ?? '',
+      source_span: n.source_span ?? '',
+      turn: n.turn ?? null,
+      speaker: n.speaker ?? '',
+      confidence: n.confidence ?? null,
+      codes: Array.isArray(n.codes) ? n.codes : [],
+      attributes: attrs,
+      coverage_status: rf.status || attrs.coverage_status || '',
+      coverage_confidence: rf.confidence ?? attrs.coverage_confidence ?? null,
+      doctor_quote: rf.doctor_quote || attrs.doctor_quote || '',
+      patient_quote: rf.patient_quote || attrs.patient_quote || '',
+      coverage_rationale: rf.rationale || attrs.coverage_rationale || ''
+    };
+  });
+  const edges = (Array.isArray(kg?.edges) ? kg.edges : []).map(e => ({
+    session,
+    source: String(e.source),
+    target: String(e.target),
+    type: e.type,
+    confidence: e.confidence ?? null,
+    attributes: e.attributes || {}
+  }));
+  return { session, nodes, edges };
+}
+
+const cell = (field, value) => (isEmpty(value) ? '' : JSON_FIELDS.has(field) ? JSON.stringify(value) : String(value));
+
+// ---------- CSV ----------
+
+function csvField(value){
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(fields, records){
+  return [fields.join(','), ...records.map(r => fields.map(f => csvField(cell(f, r[f]))).join(','))].join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+export function parseCsv(text){
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  const [header = [], ...body] = rows.filter(r => r.some(v => v !== ''));
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ''])));
+}
+
+// ---------- GraphML ----------
+
+const xml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]))
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+const unxml = (value) => String(value ?? '').replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[e.toLowerCase()];
+  if (named) return named;
+  return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+});
+
+function toGraphml(kg, flat){
+  const keyType = (f) => NUMERIC_FIELDS[f] || 'string';
+  const nodeKeys = NODE_FIELDS.filter(f => f !== 'id' && f !== 'session');
+  const edgeKeys = EDGE_FIELDS.filter(f => !['session', 'source', 'target'].includes(f));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="g_session" for="graph" attr.name="session" attr.type="string"/>',
+    '  <key id="g_summary" for="graph" attr.name="summary" attr.type="string"/>',
+    '  <key id="g_risk_summary" for="graph" attr.name="risk_summary" attr.type="string"/>',
+    ...nodeKeys.map(f => `  <key id="n_${f}" for="node" attr.name="${f}" attr.type="${keyType(f)}"/>`),
+    ...edgeKeys.map(f => `  <key id="e_${f}" for="edge" attr.name="${f}" attr.type="${keyType(f)}"/>`),
+    `  <graph id="${xml(flat.session || 'kg')}" edgedefault="directed">`
+  ];
+  const data = (prefix, field, value, indent) => (isEmpty(value) ? [] : [`${indent}<data key="${prefix}_${field}">${xml(cell(field, value))}</data>`]);
+  lines.push(...data('g', 'session', flat.session, '    '), ...data('g', 'summary', kg?.summary, '    '), ...data('g', 'risk_summary', kg?.risk_projection?.summary, '    '));
+  for (const n of flat.nodes) {
+    lines.push(`    <node id="${xml(n.id)}">`, ...nodeKeys.flatMap(f => data('n', f, n[f], '      ')), '    </node>');
+  }
+  flat.edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i}" source="${xml(e.source)}" target="${xml(e.target)}">`, ...edgeKeys.flatMap(f => data('e', f, e[f], '      ')), '    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+const attrOf = (tag, name) => {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return m ? unxml(m[2] ?? m[3]) : undefined;
+};
+
+// Reads the GraphML subset graph tools write: <key> declarations, <node>/<edge> with <data>. Keys are matched by attr.name
+// (falling back to the key id), so files from Gephi or yEd work as long as they carry type and label data.
+export function parseGraphml(text){
+  const src = String(text || '').replace(/<!--[\s\S]*?-->/g, '');
+  const keys = new Map();
+  for (const [tag] of src.matchAll(/<key\b[^>]*>/g)) {
+    const id = attrOf(tag, 'id');
+    if (id) keys.set(id, attrOf(tag, 'attr.name') || id);
+  }
+  const readData = (body) => {
+    const out = {};
+    for (const m of String(body || '').matchAll(/<data\b([^>]*?)(?:\/>|>([\s\S]*?)<\/data>)/g)) {
+      const key = attrOf(m[0], 'key');
+      if (key) out[keys.get(key) || key] = unxml((m[2] || '').replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1'));
+    }
+    return out;
+  };
+  const graph = src.match(/<graph\b[^>]*>([\s\S]*)<\/graph>/);
+  const inner = graph ? graph[1] : '';
+  const elementRe = /<(node|edge)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const nodes = [];
+  const edges = [];
+  for (const m of inner.matchAll(elementRe)) {
+    const tag = `<${m[1]}${m[2]}>`;
+    const fields = readData(m[3]);
+    if (m[1] === 'node') nodes.push({ ...fields, id: attrOf(tag, 'id') });
+    else edges.push({ ...fields, source: attrOf(tag, 'source'), target: attrOf(tag, 'target') });
+  }
+  const graphData = readData(inner.replace(elementRe, ''));
+  return { graph: graphData, nodes, edges };
+}
+
+// ---------- RDF / Turtle ----------
+
+const literal = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`;
+const iri = (value) => `<${String(value).replace(/[\u0000- <>"{}|^`\\]/g, ch => encodeURIComponent(ch))}>`;
+const camel = (field) => field.replace(/_(\w)/g, (m, c) => c.toUpperCase());
+
+// Class and property declarations for every node and edge type
+export function kgVocabularyTurtle(){
+  return [
+    'kg:KnowledgeGraph a rdfs:Class ; rdfs:label "Knowledge graph" .',
+    'kg:Node a rdfs:Class ; rdfs:label "Knowledge graph node" .',
+    ...NODE_TYPES.map(t => `kg:${t} a rdfs:Class ; rdfs:subClassOf kg:Node ; rdfs:label ${literal(t)} .`),
+    ...EDGE_TYPES.map(t => `kg:${t} a rdf:Property ; rdfs:domain kg:Node ; rdfs:range kg:Node ; rdfs:label ${literal(t.replace(/_/g, ' '))} .`)
+  ].join('\n');
+}
+
+// opts.base: IRI prefix for the graph and its nodes (default urn:articula:session:<id>:)
+function toTurtle(kg, flat, opts = {}){
+  const base = opts.base || `urn:articula:session:${encodeURIComponent(flat.session || 'kg')}:`;
+  const nodeIri = (id) => iri(`${base}node:${encodeURIComponent(id)}`);
+  const lines = [
+    `@prefix kg: <${KG_NAMESPACE}> .`,
+    '@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .',
+    '@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .',
+    '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .',
+    ''
+  ];
+  if (opts.vocabulary !== false) lines.push(kgVocabularyTurtle(), '');
+
+  const graph = [`${iri(`${base}graph`)} a kg:KnowledgeGraph`];
+  if (flat.session) graph.push(`  kg:session ${literal(flat.session)}`);
+  if (kg?.summary) graph.push(`  kg:summary ${literal(kg.summary)}`);
+  if (kg?.risk_projection?.summary) graph.push(`  kg:riskSummary ${literal(kg.risk_projection.summary)}`);
+  if (flat.nodes.length) graph.push(`  kg:node ${flat.nodes.map(n => nodeIri(n.id)).join(', ')}`);
+  lines.push(graph.join(' ;\n') + ' .', '');
+
+  const typed = (field, value) => (NUMERIC_FIELDS[field] === 'int' ? `${literal(value)}^^xsd:integer` : NUMERIC_FIELDS[field] ? `${literal(value)}^^xsd:decimal` : literal(value));
+  for (const n of flat.nodes) {
+    const props = [`${nodeIri(n.id)} a kg:Node, kg:${n.type}`, `  kg:id ${literal(n.id)}`, `  rdfs:label ${literal(n.label)}`];
+    for (const field of ['source_span', 'turn', 'speaker', 'confidence', 'coverage_status', 'coverage_confidence', 'doctor_quote', 'patient_quote', 'coverage_rationale']) {
+      if (!isEmpty(n[field])) props.push(`  kg:${camel(field)} ${typed(field, n[field])}`);
+    }
+    for (const c of n.codes) {
+      props.push(`  kg:code [ kg:system ${literal(c.system || '')} ; kg:code ${literal(c.code ?? '')}${c.display ? ` ; rdfs:label ${literal(c.display)}` : ''} ]`);
+    }
+    for (const [key, value] of Object.entries(n.attributes)) {
+      if (!isEmpty(value)) props.push(`  kg:attribute [ kg:key ${literal(key)} ; kg:value ${literal(typeof value === 'object' ? JSON.stringify(value) : value)} ]`);
+    }
+    lines.push(props.join(' ;\n') + ' .');
+  }
+  lines.push('');
+  for (const e of flat.edges) {
+    lines.push(`${nodeIri(e.source)} kg:${e.type} ${nodeIri(e.target)} .`);
+    // Edge confidence and attributes hang off a reified statement
+    if (e.confidence != null || !isEmpty(e.attributes)) {
+      const props = [`[] a rdf:Statement`, `  rdf:subject ${nodeIri(e.source)}`, `  rdf:predicate kg:${e.type}`, `  rdf:object ${nodeIri(e.target)}`];
+      if (e.confidence != null) props.push(`  kg:confidence ${typed('confidence', e.confidence)}`);
+      for (const [key, value] of Object.entries(e.attributes)) {
+        if (!isEmpty(value)) props.push(`  kg:attribute [ kg:key ${literal(key)} ; kg:value ${literal(typeof value === 'object' ? JSON.stringify(value) : value)} ]`);
+      }
+      lines.push(props.join(' ;\n') + ' .');
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ---------- Neo4j ----------
+
+const cypherString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+const relType = (type) => String(type).toUpperCase();
+
+// LOAD CSV script for the nodes/edges CSV pair; one statement per node label and relationship type,
+// since plain Cypher cannot take either from a column. Nodes are keyed by (session, id), so sessions can share a database.
+function neo4jLoadScript(flat, files){
+  const url = (name) => `file:///${name}`;
+  const nodeTypes = [...new Set(flat.nodes.map(n => n.type))];
+  const edgeTypes = [...new Set(flat.edges.map(e => e.type))];
+  const setNode = [
+    'n.label = row.label', 'n.type = row.type', 'n.source_span = row.source_span', 'n.turn = toInteger(row.turn)', 'n.speaker = row.speaker',
+    'n.confidence = toFloat(row.confidence)', 'n.codes = row.codes', 'n.attributes = row.attributes', 'n.coverage_status = row.coverage_status',
+    'n.coverage_confidence = toFloat(row.coverage_confidence)', 'n.doctor_quote = row.doctor_quote', 'n.patient_quote = row.patient_quote',
+    'n.coverage_rationale = row.coverage_rationale'
+  ].join(',\n    ');
+  return [
+    `// Neo4j import for ${flat.session || 'kg'}: copy ${files.nodes} and ${files.edges} into the import directory, then run this script`,
+    '// (cypher-shell -f). Empty CSV cells arrive as empty strings; toInteger/toFloat turn them into null.',
+    'CREATE INDEX kg_node_key IF NOT EXISTS FOR (n:KgNode) ON (n.session, n.id);',
+    '',
+    ...nodeTypes.map(t => [
+      `LOAD CSV WITH HEADERS FROM ${cypherString(url(files.nodes))} AS row`,
+      `WITH row WHERE row.type = ${cypherString(t)}`,
+      `MERGE (n:KgNode:${t} {session: row.session, id: row.id})`,
+      `SET ${setNode};`,
+      ''
+    ].join('\n')),
+    ...edgeTypes.map(t => [
+      `LOAD CSV WITH HEADERS FROM ${cypherString(url(files.edges))} AS row`,
+      `WITH row WHERE row.type = ${cypherString(t)}`,
+      'MATCH (a:KgNode {session: row.session, id: row.source}), (b:KgNode {session: row.session, id: row.target})',
+      `MERGE (a)-[r:${relType(t)}]->(b)`,
+      'SET r.confidence = toFloat(row.confidence), r.attributes = row.attributes;',
+      ''
+    ].join('\n'))
+  ].join('\n');
+}
+
+// Self-contained Cypher (no CSV files): one MERGE per node and relationship
+function neo4jCypherScript(flat){
+  const props = (record, fields) => fields
+    .filter(f => !isEmpty(record[f]))
+    .map(f => `${f}: ${NUMERIC_FIELDS[f] ? Number(record[f]) : cypherString(cell(f, record[f]))}`)
+    .join(', ');
+  const nodeFields = NODE_FIELDS.filter(f => !['session', 'id'].includes(f));
+  return [
+    `// Neo4j import for ${flat.session || 'kg'} (cypher-shell -f)`,
+    'CREATE INDEX kg_node_key IF NOT EXISTS FOR (n:KgNode) ON (n.session, n.id);',
+    ...flat.nodes.map(n => `MERGE (n:KgNode:${n.type} {session: ${cypherString(n.session)}, id: ${cypherString(n.id)}}) SET n += {${props(n, nodeFields)}};`),
+    ...flat.edges.map(e => {
+      const set = props(e, ['confidence', 'attributes']);
+      return `MATCH (a:KgNode {session: ${cypherString(e.session)}, id: ${cypherString(e.source)}}), (b:KgNode {session: ${cypherString(e.session)}, id: ${cypherString(e.target)}}) MERGE (a)-[r:${relType(e.type)}]->(b)${set ? ` SET r += {${set}}` : ''};`;
+    })
+  ].join('\n') + '\n';
+}
+
+// ---------- export ----------
+
+// Converts a KG to one of EXPORT_FORMATS. Returns [{ name, media_type, content }]: one file for graphml/turtle,
+// a nodes/edges pair for csv, and the pair plus load.cypher (LOAD CSV) and graph.cypher (inline) for neo4j.
+// opts.name: file name stem (default the session id or "kg"); opts.base / opts.vocabulary for turtle.
+export function exportKg(kg, format, opts = {}){
+  const flat = flatten(kg);
+  const stem = opts.name || flat.session || 'kg';
+  const csvPair = () => [
+    { name: `${stem}-nodes.csv`, media_type: 'text/csv; charset=utf-8', content: toCsv(NODE_FIELDS, flat.nodes) },
+    { name: `${stem}-edges.csv`, media_type: 'text/csv; charset=utf-8', content: toCsv(EDGE_FIELDS, flat.edges) }
+  ];
+  switch (format) {
+    case 'graphml':
+      return [{ name: `${stem}.graphml`, media_type: 'application/graphml+xml; charset=utf-8', content: toGraphml(kg, flat) }];
+    case 'turtle':
+      return [{ name: `${stem}.ttl`, media_type: 'text/turtle; charset=utf-8', content: toTurtle(kg, flat, opts) }];
+    case 'csv':
+      return csvPair();
+    case 'neo4j': {
+      const [nodes, edges] = csvPair();
+      return [
+        nodes,
+        edges,
+        { name: `${stem}-load.cypher`, media_type: 'text/plain; charset=utf-8', content: neo4jLoadScript(flat, { nodes: nodes.name, edges: edges.name }) },
+        { name: `${stem}-graph.cypher`, media_type: 'text/plain; charset=utf-8', content: neo4jCypherScript(flat) }
+      ];
+    }
+    default:
+      throw new Error(`Unknown export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+// ---------- import ----------
+
+function parseJsonField(value, field, where){
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${where}: ${field} is not valid JSON`);
+  }
+}
+
+// Flat records (GraphML data or CSV rows, all strings) back to KG nodes/edges; risk projection fields rebuild risk_projection
+function unflatten({ graph = {}, nodes, edges }){
+  const kg = { summary: graph.summary || '', nodes: [], edges: [] };
+  const riskFactors = [];
+  nodes.forEach((r, i) => {
+    const where = `node ${r.id ?? i + 1}`;
+    const node = { id: String(r.id ?? ''), type: r.type, label: r.label ?? '' };
+    const attributes = parseJsonField(r.attributes, 'attributes', where);
+    node.attributes = attributes && typeof attributes === 'object' ? attributes : {};
+    if (r.source_span) node.source_span = r.source_span;
+    if (r.turn && Number.isInteger(Number(r.turn))) node.turn = Number(r.turn);
+    if (r.speaker) node.speaker = r.speaker;
+    if (r.confidence !== undefined && r.confidence !== '' && Number.isFinite(Number(r.confidence))) node.confidence = Number(r.confidence);
+    const codes = parseJsonField(r.codes, 'codes', where);
+    if (Array.isArray(codes) && codes.length) node.codes = codes;
+    if (r.coverage_status) {
+      riskFactors.push({
+        id: node.id,
+        label: node.label,
+        status: r.coverage_status,
+        ...(r.coverage_confidence ? { confidence: Number(r.coverage_confidence) } : {}),
+        doctor_quote: r.doctor_quote || '',
+        patient_quote: r.patient_quote || '',
+        rationale: r.coverage_rationale || ''
+      });
+    }
+    kg.nodes.push(node);
+  });
+  edges.forEach((r, i) => {
+    const edge = { source: String(r.source ?? ''), type: r.type, target: String(r.target ?? '') };
+    const attributes = parseJsonField(r.attributes, 'attributes', `edge ${i + 1}`);
+    if (attributes && typeof attributes === 'object' && Object.keys(attributes).length) edge.attributes = attributes;
+    if (r.confidence !== undefined && r.confidence !== '' && Number.isFinite(Number(r.confidence))) edge.confidence = Number(r.confidence);
+    kg.edges.push(edge);
+  });
+  if (riskFactors.length || graph.risk_summary) kg.risk_projection = { risk_factors: riskFactors, summary: graph.risk_summary || '' };
+  const session = graph.session || nodes[0]?.session;
+  if (session) kg.session = { id: session };
+  return kg;
+}
+
+// GraphML text, or a { nodes, edges } pair of CSV texts, back to a KG; throws with every schema/consistency error
+// when the result does not validate against the kg.json schema
+export function importKg(format, input){
+  let flat;
+  if (format === 'graphml') flat = parseGraphml(input);
+  else if (format === 'csv') flat = { nodes: parseCsv(input?.nodes), edges: parseCsv(input?.edges) };
+  else throw new Error(`Unknown import format: ${format} (expected one of ${IMPORT_FORMATS.join(', ')})`);
+  const kg = unflatten(flat);
+  const errors = kgErrors(kg, new Ajv({ allErrors: true, strict: false }).compile(kgSchema(NODE_TYPES, EDGE_TYPES)));
+  if (errors.length) {
+    const err = new Error(`Imported graph is not a valid KG: ${errors.slice(0, 20).join('; ')}`);
+    err.errors = errors;
+    throw err;
+  }
+  return kg;
+}
+
+// ---------- CLI ----------
+
+async function run(){
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f' },
+      out: { type: 'string', short: 'o' },
+      edges: { type: 'string' },
+      base: { type: 'string' }
+    }
+  });
+  const [command, file] = positionals;
+  if (command === 'export' && file) {
+    const kg = JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+    const formats = String(values.format || 'graphml').split(',').map(f => f.trim()).filter(Boolean);
+    const outDir = path.resolve(values.out || 'exports');
+    await fs.mkdir(outDir, { recursive: true });
+    // The neo4j export includes the CSV pair, so files are collected by name before writing
+    const files = new Map();
+    for (const format of formats.includes('all') ? EXPORT_FORMATS : formats) {
+      for (const out of exportKg(kg, format, { base: values.base })) files.set(out.name, out.content);
+    }
+    for (const [name, content] of files) {
+      await fs.writeFile(path.join(outDir, name), content);
+      console.log('Wrote', path.join(outDir, name));
+    }
+    return;
+  }
+  if (command === 'import' && file) {
+    const text = await fs.readFile(path.resolve(file), 'utf8');
+    const csv = /\.csv$/i.test(file);
+    if (csv && !values.edges) throw new Error('CSV import needs the edges file: --edges <edges.csv>');
+    const kg = csv
+      ? importKg('csv', { nodes: text, edges: await fs.readFile(path.resolve(values.edges), 'utf8') })
+      : importKg('graphml', text);
+    const json = JSON.stringify(kg, null, 2);
+    if (values.out) {
+      await fs.mkdir(path.dirname(path.resolve(values.out)), { recursive: true });
+      await fs.writeFile(path.resolve(values.out), json);
+      console.error('Wrote', values.out, `(${kg.nodes.length} nodes, ${kg.edges.length} edges)`);
+    } else {
+      process.stdout.write(json + '\n');
+    }
+    return;
+  }
+  console.error([
+    'Usage: node scripts/graph-formats.mjs export <kg.json> [--format graphml,turtle,csv,neo4j|all] [--out dir] [--base iri]',
+    '       node scripts/graph-formats.mjs import <file.graphml | nodes.csv --edges edges.csv> [--out kg.json]'
+  ].join('\n'));
+  process.exit(2);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run().catch(err => { console.error(err.message || err); process.exit(1); });
+}
@@ -0,0 +1,272 @@
+// KG schema in its two forms, both built from the node/edge type lists in extract.mjs:
+// - kgSchema: the Ajv contract for a stored KG (attributes is a free-form object)
+// - kgResponseSchema: strict JSON schema for structured model output (every property required, no extra keys,
+//   so attributes travel as [{ key, value }] pairs)
+// plus the deterministic fixes applied to model output before it is validated.
+
+export function kgSchema(nodeTypes, edgeTypes){
+  return {
+    type: 'object',
+    required: ['nodes', 'edges'],
+    properties: {
+      summary: { type: 'string' },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'type', 'label'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: nodeTypes },
+            label: { type: 'string' },
+            attributes: { type: 'object', additionalProperties: true },
+            source_span: { type: 'string' }
+          },
+          additionalProperties: true
+        }
+      },
+      edges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['source', 'type', 'target'],
+          properties: {
+            source: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: edgeTypes },
+            target: { type: 'string', minLength: 1 }
+          },
+          additionalProperties: true
+        }
+      }
+    },
+    additionalProperties: true
+  };
+}
+
+export function kgResponseSchema(nodeTypes, edgeTypes){
+  return {
+    name: 'knowledge_graph',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['nodes', 'edges', 'summary'],
+      properties: {
+        nodes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['id', 'type', 'label', 'attributes', 'source_span', 'turn'],
+            properties: {
+              id: { type: 'string' },
+              type: { type: 'string', enum: nodeTypes },
+              label: { type: 'string' },
+              attributes: {
+                type: 'array',
+                description: 'Node attributes as key/value pairs, e.g. { "key": "dosage", "value": "250 mg" }',
+                items: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['key', 'value'],
+                  properties: { key: { type: 'string' }, value: { type: ['string', 'number', 'boolean'] } }
+                }
+              },
+              source_span: { type: 'string' },
+              turn: { type: 'integer', description: 'Number of the [T#] transcript turn the source_span is quoted from, 0 if none' }
+            }
+          }
+        },
+        edges: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['source', 'type', 'target'],
+            properties: {
+              source: { type: 'string' },
+              type: { type: 'string', enum: edgeTypes },
+              target: { type: 'string' }
+            }
+          }
+        },
+        summary: { type: 'string' }
+      }
+    }
+  };
+}
+
+export function riskProjectionResponseSchema(statuses){
+  const text = { type: 'string' };
+  const turn = { type: 'integer' };
+  return {
+    name: 'risk_projection',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['risk_factors', 'summary'],
+      properties: {
+        risk_factors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['id', 'label', 'status', 'doctor_quote', 'doctor_turn', 'patient_quote', 'patient_turn', 'rationale'],
+            properties: { id: text, label: text, status: { type: 'string', enum: statuses }, doctor_quote: text, doctor_turn: turn, patient_quote: text, patient_turn: turn, rationale: text }
+          }
+        },
+        summary: text
+      }
+    }
+  };
+}
+
+// Near-miss type names the model uses instead of the allowed ones (compared without case, spaces or punctuation)
+const NODE_TYPE_ALIASES = {
+  patient: 'Population', patients: 'Population', cohort: 'Population', demographic: 'Population',
+  treatment: 'Intervention', therapy: 'Intervention',
+  control: 'Comparator', comparison: 'Comparator',
+  result: 'Outcome', outcomemetric: 'Outcome', metric: 'Outcome',
+  disease: 'Condition', diagnosis: 'Condition', problem: 'Condition', disorder: 'Condition',
+  drug: 'Medication', medicine: 'Medication', drugs: 'Medication',
+  test: 'Procedure', diagnostictest: 'Procedure', surgery: 'Procedure',
+  bodypart: 'Anatomy', organ: 'Anatomy',
+  symptom: 'Finding', sign: 'Finding', observation: 'Finding', vital: 'Finding', vitalsign: 'Finding',
+  study: 'Evidence', data: 'Evidence',
+  pathway: 'Mechanism',
+  recommendation: 'Guideline', protocol: 'Guideline',
+  time: 'TimeFrame', timeref: 'TimeFrame', duration: 'TimeFrame', period: 'TimeFrame',
+  risk: 'RiskFactor', assumption: 'RiskFactor', complication: 'RiskFactor', limitation: 'RiskFactor', allergy: 'RiskFactor',
+  location: 'Setting', place: 'Setting', facility: 'Setting'
+};
+const EDGE_TYPE_ALIASES = {
+  treat: 'treats', treating: 'treats',
+  cause: 'causes', causedby: 'causes', leadsto: 'causes',
+  contraindicated: 'contraindicated_for', contraindicates: 'contraindicated_for', contraindicatedwith: 'contraindicated_for',
+  indicate: 'indicates', suggests: 'indicates',
+  administered: 'administered_to', givento: 'administered_to', prescribedto: 'administered_to',
+  comparedto: 'compared_with', compared: 'compared_with',
+  measuredby: 'measured_in', measures: 'measured_in',
+  associated: 'associated_with', relatedto: 'associated_with', related: 'associated_with', has: 'associated_with',
+  support: 'supports', supportedby: 'supports',
+  locatedat: 'located_in', location: 'located_in',
+  during: 'occurs_during', occursin: 'occurs_during',
+  increasesrisk: 'increases_risk_of', riskfactorfor: 'increases_risk_of', risks: 'increases_risk_of',
+  decreasesrisk: 'decreases_risk_of', reducesriskof: 'decreases_risk_of', reducesrisk: 'decreases_risk_of', mitigates: 'decreases_risk_of',
+  partof: 'part_of', componentof: 'part_of'
+};
+
+const squash = (value) => String(value ?? '').toLowerCase().replace(/[^a-z]/g, '');
+
+function coerceType(value, allowed, aliases){
+  if (allowed.includes(value)) return value;
+  const key = squash(value);
+  const direct = allowed.find(t => squash(t) === key || `${squash(t)}s` === key);
+  return direct || aliases[key] || null;
+}
+
+// Applies deterministic fixes in place and returns what was changed, e.g. ["node 3: type \"Drug\" → Medication"].
+// Unfixable problems (unknown types, missing labels) are left for schema validation.
+export function fixKg(json, { nodeTypes, edgeTypes }){
+  const fixes = [];
+  if (!json || typeof json !== 'object') return fixes;
+  if (!Array.isArray(json.nodes)) {
+    fixes.push('nodes was not an array');
+    json.nodes = [];
+  }
+  if (!Array.isArray(json.edges)) {
+    fixes.push('edges was not an array');
+    json.edges = [];
+  }
+  json.nodes = json.nodes.filter(n => n && typeof n === 'object' && !Array.isArray(n));
+
+  const ids = new Set();
+  // Ids the model gave to more than one node: an edge naming one cannot say which node it meant
+  const ambiguous = new Set();
+  const byLabel = new Map();
+  let nextId = json.nodes.reduce((max, n) => Math.max(max, Number(n.id) || 0), 0) + 1;
+  for (const node of json.nodes) {
+    // [{ key, value }] pairs from structured output back to an object
+    if (Array.isArray(node.attributes)) {
+      node.attributes = Object.fromEntries(node.attributes.filter(p => p && p.key).map(p => [String(p.key), p.value]));
+    } else if (node.attributes == null || typeof node.attributes !== 'object') {
+      if (node.attributes != null) fixes.push(`node ${node.id}: attributes was not an object`);
+      node.attributes = {};
+    }
+    if (node.id != null && typeof node.id !== 'string') node.id = String(node.id);
+    if (typeof node.id === 'string') node.id = node.id.trim();
+    if (!node.id || ids.has(node.id)) {
+      const id = String(nextId++);
+      fixes.push(node.id ? `node ${node.id}: duplicate id, renumbered to ${id}` : `node "${node.label}": missing id, set to ${id}`);
+      if (node.id) ambiguous.add(node.id);
+      node.id = id;
+    }
+    ids.add(node.id);
+    if (node.type !== undefined && !nodeTypes.includes(node.type)) {
+      const type = coerceType(node.type, nodeTypes, NODE_TYPE_ALIASES);
+      if (type) {
+        fixes.push(`node ${node.id}: type "${node.type}" → ${type}`);
+        node.type = type;
+      }
+    }
+    if (typeof node.label === 'string' && node.label.trim()) byLabel.set(node.label.trim().toLowerCase(), node.id);
+    if (node.source_span != null && typeof node.source_span !== 'string') node.source_span = String(node.source_span);
+    // Turn references are positive integers; 0 or anything else means none
+    if (node.turn !== undefined) {
+      if (Number.isInteger(Number(node.turn)) && Number(node.turn) > 0) node.turn = Number(node.turn);
+      else delete node.turn;
+    }
+  }
+
+  const seen = new Set();
+  json.edges = json.edges.filter(edge => {
+    if (!edge || typeof edge !== 'object') return false;
+    for (const end of ['source', 'target']) {
+      if (edge[end] != null && typeof edge[end] !== 'string') edge[end] = String(edge[end]);
+      if (ambiguous.has(edge[end])) {
+        fixes.push(`edge ${edge.source} -${edge.type}-> ${edge.target}: dropped, ${end} id ${edge[end]} is shared by several nodes`);
+        return false;
+      }
+      // An endpoint given by label instead of id
+      if (typeof edge[end] === 'string' && !ids.has(edge[end]) && byLabel.has(edge[end].trim().toLowerCase())) {
+        const id = byLabel.get(edge[end].trim().toLowerCase());
+        fixes.push(`edge ${edge.source} → ${edge.target}: ${end} "${edge[end]}" resolved to node ${id}`);
+        edge[end] = id;
+      }
+    }
+    if (edge.type !== undefined && !edgeTypes.includes(edge.type)) {
+      const type = coerceType(edge.type, edgeTypes, EDGE_TYPE_ALIASES);
+      if (type) {
+        fixes.push(`edge ${edge.source} → ${edge.target}: type "${edge.type}" → ${type}`);
+        edge.type = type;
+      }
+    }
+    if (!ids.has(edge.source) || !ids.has(edge.target)) {
+      fixes.push(`edge ${edge.source} -${edge.type}-> ${edge.target}: dropped, ${ids.has(edge.source) ? 'target' : 'source'} not found`);
+      return false;
+    }
+    const key = `${edge.source}|${edge.type}|${edge.target}`;
+    if (seen.has(key)) {
+      fixes.push(`edge ${edge.source} -${edge.type}-> ${edge.target}: duplicate dropped`);
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  return fixes;
+}
+
+// Schema and consistency errors as readable lines (empty when the KG is valid); `validate` is the compiled kgSchema
+export function kgErrors(json, validate){
+  if (!validate(json)) return validate.errors.map(e => `${e.instancePath || '/'} ${e.message}${e.params?.allowedValues ? ` (${e.params.allowedValues.join(', ')})` : ''}`);
+  const errors = [];
+  const ids = new Set();
+  for (const n of json.nodes) {
+    if (ids.has(n.id)) errors.push(`Duplicate node id: ${n.id}`);
+    ids.add(n.id);
+  }
+  for (const e of json.edges) {
+    if (!ids.has(e.source)) errors.push(`Edge source not found: ${e.source}`);
+    if (!ids.has(e.target)) errors.push(`Edge target not found: ${e.target}`);
+  }
+  return errors;
+}
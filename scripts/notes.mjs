@@ -0,0 +1,286 @@
+import crypto from 'node:crypto';
+import { getProvider } from './providers.mjs';
+import { chartContextText } from './fhir-import.mjs';
+import { stableUuid } from './fhir-export.mjs';
+import { deidentify, reidentifyKg } from './deid.mjs';
+import { sanitizeKg } from './sanitize.mjs';
+
+// Clinical note generation from an extracted KG: a SOAP note for the chart and a patient-facing after-visit summary.
+// The model writes the statements and cites node ids; sources (labels, spans, offsets) and follow-up items for
+// risk factors the visit did not address are filled in locally from the KG, never by the model.
+
+export const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+export const AVS_SECTIONS = ['reason_for_visit', 'what_we_found', 'your_plan', 'when_to_get_help'];
+
+const SECTION_TITLES = {
+  subjective: 'Subjective', objective: 'Objective', assessment: 'Assessment', plan: 'Plan',
+  reason_for_visit: 'Why you came in', what_we_found: 'What we found', your_plan: 'Your plan', when_to_get_help: 'When to get help'
+};
+
+const NOTE_PROMPT = `You are a clinical documentation assistant. From the knowledge graph of a primary care visit, the visit transcript and the patient's chart, write:
+1. A SOAP note for the clinician (subjective, objective, assessment, plan): concise clinical statements in standard clinical language.
+2. An after-visit summary for the patient (reason_for_visit, what_we_found, your_plan, when_to_get_help): plain language at about a 6th-grade reading level, addressed to the patient as "you".
+
+Rules:
+- Every statement must cite the ids of the knowledge graph nodes it is based on in node_ids. Only state what the graph, transcript or chart supports; do not invent doses, results or plans.
+- Chart facts (known problems, medications, allergies) may be used for context; cite the matching node when the visit discussed them, otherwise leave node_ids empty.
+- Do not add follow-up items for risk factors that were not addressed; they are appended separately.
+- One fact or instruction per statement. Respond with JSON only.`;
+
+function statementList(){
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['text', 'node_ids'],
+      properties: { text: { type: 'string' }, node_ids: { type: 'array', items: { type: 'string' } } }
+    }
+  };
+}
+
+function sectionsSchema(names){
+  return { type: 'object', additionalProperties: false, required: names, properties: Object.fromEntries(names.map(n => [n, statementList()])) };
+}
+
+const NOTE_SCHEMA = {
+  name: 'clinical_note',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['soap', 'after_visit_summary'],
+    properties: { soap: sectionsSchema(SOAP_SECTIONS), after_visit_summary: sectionsSchema(AVS_SECTIONS) }
+  }
+};
+
+export const NOTE_PROMPT_VERSION = crypto.createHash('sha256').update(NOTE_PROMPT).digest('hex').slice(0, 12);
+
+function parseJson(text){
+  const raw = String(text || '').trim();
+  try {
+    return JSON.parse(raw);
+  } catch {
+    const match = raw.match(/\{[\s\S]*\}/);
+    if (match) return JSON.parse(match[0]);
+    throw new Error('Note generation: model output was not valid JSON');
+  }
+}
+
+function noteInput(kg, chart){
+  const nodes = (Array.isArray(kg?.nodes) ? kg.nodes : []).map(n => ({
+    id: n.id,
+    type: n.type,
+    label: n.label,
+    attributes: n.attributes || {},
+    source_span: n.source_span || ''
+  }));
+  const risks = (kg?.risk_projection?.risk_factors || []).map(rf => ({ id: rf.id, label: rf.label, status: rf.status, rationale: rf.rationale }));
+  return [
+    NOTE_PROMPT,
+    `Knowledge graph nodes (JSON):\n${JSON.stringify(nodes, null, 2)}`,
+    `Edges (JSON):\n${JSON.stringify(kg?.edges || [])}`,
+    `Risk factor coverage in this visit (JSON):\n${JSON.stringify(risks, null, 2)}`,
+    chart ? `Patient chart:\n${chartContextText(chart)}` : '',
+    `Visit transcript:\n"""${kg?.source_text || ''}"""`
+  ].filter(Boolean).join('\n\n');
+}
+
+// Where a node came from: its source span, the offsets checkSpans found in the transcript and the speaker turn
+function nodeSource(node){
+  const m = node.source_match;
+  return {
+    type: node.type,
+    label: node.label,
+    source_span: node.source_span || '',
+    ...(m ? { start: m.start, end: m.end, status: m.status } : {}),
+    ...(node.turn ? { turn: node.turn, speaker: node.speaker || null } : {})
+  };
+}
+
+function linkSections(raw, names, nodesById, sources){
+  const out = {};
+  for (const name of names) {
+    out[name] = (Array.isArray(raw?.[name]) ? raw[name] : [])
+      .filter(s => s && typeof s.text === 'string' && s.text.trim())
+      .map(s => {
+        // Citations to ids that are not in the graph are dropped, not trusted
+        const ids = [...new Set((Array.isArray(s.node_ids) ? s.node_ids : []).map(String))].filter(id => nodesById.has(id));
+        ids.forEach(id => { sources[id] = nodeSource(nodesById.get(id)); });
+        return { text: s.text.trim(), node_ids: ids, ...(ids.length ? {} : { unlinked: true }) };
+      });
+  }
+  return out;
+}
+
+// Every risk factor the visit did not address becomes an explicit follow-up item
+export function followUpItems(kg){
+  const nodesById = new Map((kg?.nodes || []).map(n => [String(n.id), n]));
+  return (kg?.risk_projection?.risk_factors || [])
+    .filter(rf => rf.status === 'not_addressed' && nodesById.has(String(rf.id)))
+    .map(rf => ({
+      label: rf.label || nodesById.get(String(rf.id)).label,
+      text: `Follow up: ${rf.label || nodesById.get(String(rf.id)).label} was not addressed during this visit.`,
+      node_ids: [String(rf.id)],
+      ...(rf.rationale ? { rationale: rf.rationale } : {})
+    }));
+}
+
+// opts: { chart, model, provider, temperature, max_output_tokens, deidentify, entities, keepDeidentified }
+// deidentify: replace PHI in the prompt (using `entities` from an earlier call for consistent surrogates); the
+// statements come back re-identified unless keepDeidentified. Returns { note, entities }.
+export async function generateNote(kg, opts = {}){
+  if (!Array.isArray(kg?.nodes) || !kg.nodes.length) throw new Error('The knowledge graph has no nodes to write a note from');
+  const model = String(opts.model || process.env.NOTE_MODEL || process.env.MODEL || 'gpt-4o-mini').trim();
+  const temperature = Number.isFinite(Number(opts.temperature ?? process.env.NOTE_TEMPERATURE)) ? Number(opts.temperature ?? process.env.NOTE_TEMPERATURE) : 0.2;
+  const max_output_tokens = Number.isFinite(Number(opts.max_output_tokens ?? process.env.NOTE_MAX_OUTPUT_TOKENS)) ? Number(opts.max_output_tokens ?? process.env.NOTE_MAX_OUTPUT_TOKENS) : 2500;
+
+  let input = noteInput(kg, opts.chart);
+  let entities = Array.isArray(opts.entities) ? opts.entities : [];
+  if (opts.deidentify) {
+    const result = deidentify(input, { chart: opts.chart, entities });
+    input = result.text;
+    entities = result.entities;
+  }
+  const resp = await getProvider(opts.provider).generate({ purpose: 'note', model, input, temperature, max_output_tokens, json: true, schema: NOTE_SCHEMA });
+  const raw = parseJson(resp.text);
+  sanitizeKg(raw);
+  if (opts.deidentify && !opts.keepDeidentified) reidentifyKg(raw, entities);
+
+  const nodesById = new Map(kg.nodes.map(n => [String(n.id), n]));
+  const sources = {};
+  const followUps = followUpItems(kg);
+  followUps.forEach(f => f.node_ids.forEach(id => { sources[id] = nodeSource(nodesById.get(id)); }));
+  const note = {
+    generated_at: new Date().toISOString(),
+    model,
+    prompt_version: NOTE_PROMPT_VERSION,
+    ...(resp.cache ? { cache_key: resp.cache.key } : {}),
+    soap: linkSections(raw?.soap, SOAP_SECTIONS, nodesById, sources),
+    after_visit_summary: linkSections(raw?.after_visit_summary, AVS_SECTIONS, nodesById, sources),
+    follow_ups: followUps,
+    sources
+  };
+  return { note, entities };
+}
+
+function cite(statement){
+  return statement.node_ids.length ? ` [${statement.node_ids.map(id => `n${id}`).join(', ')}]` : ' [unlinked]';
+}
+
+function sourceLines(note, ids){
+  return ids.filter(id => note.sources?.[id]).map(id => {
+    const s = note.sources[id];
+    const turn = s.turn ? `turn ${s.turn}${s.speaker ? `, ${s.speaker}` : ''}; ` : '';
+    const where = s.start != null ? ` (${turn}chars ${s.start}–${s.end}${s.status && s.status !== 'grounded' ? `, ${s.status}` : ''})` : '';
+    return `- **n${id}** ${s.label} (${s.type})${s.source_span ? `: “${s.source_span}”` : ''}${where}`;
+  });
+}
+
+// note: as returned by generateNote; kind: 'soap' | 'avs'. Citations [n<id>] refer to KG node ids, listed under Sources.
+export function noteToMarkdown(note, kind = 'soap', meta = {}){
+  const soap = kind !== 'avs';
+  const sections = soap ? note.soap : note.after_visit_summary;
+  const names = soap ? SOAP_SECTIONS : AVS_SECTIONS;
+  const lines = [`# ${soap ? 'SOAP note' : 'After-visit summary'}${meta.sessionId ? ` — ${meta.sessionId}` : ''}`, ''];
+  lines.push(`_Draft generated ${note.generated_at} by ${note.model} from the visit knowledge graph; review before use._`, '');
+  const cited = new Set();
+  for (const name of names) {
+    lines.push(`## ${SECTION_TITLES[name]}`);
+    const items = sections?.[name] || [];
+    if (!items.length) lines.push('_Nothing documented._');
+    items.forEach(s => {
+      lines.push(`- ${s.text}${soap ? cite(s) : ''}`);
+      s.node_ids.forEach(id => cited.add(id));
+    });
+    lines.push('');
+  }
+  if (note.follow_ups?.length) {
+    lines.push(soap ? '## Follow-up (risk factors not addressed)' : '## Questions for your next visit');
+    note.follow_ups.forEach(f => {
+      lines.push(soap ? `- ${f.text}${cite(f)}${f.rationale ? ` — ${f.rationale}` : ''}` : `- Ask your care team about: ${f.label}`);
+      f.node_ids.forEach(id => cited.add(id));
+    });
+    lines.push('');
+  }
+  if (soap && cited.size) lines.push('## Sources', ...sourceLines(note, [...cited]), '');
+  return lines.join('\n');
+}
+
+const LOINC = 'http://loinc.org';
+const NOTE_TYPES = {
+  soap: { code: '11506-3', display: 'Progress note', title: 'SOAP note' },
+  avs: { code: '34133-9', display: 'Summary of episode note', title: 'After-visit summary' }
+};
+
+function escapeXml(text){
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Statements link to the FHIR resources of `/export/fhir` through the same kg-node identifier
+function nodeReference(note, sessionId, id){
+  return { identifier: { system: 'urn:articula:kg-node', value: `${sessionId}/${id}` }, display: note.sources?.[id]?.label || id };
+}
+
+function composition(note, kind, ctx){
+  const type = NOTE_TYPES[kind];
+  const soap = kind === 'soap';
+  const sections = soap ? note.soap : note.after_visit_summary;
+  const names = soap ? SOAP_SECTIONS : AVS_SECTIONS;
+  const section = (title, items, itemText = s => s.text) => {
+    const ids = [...new Set(items.flatMap(s => s.node_ids))];
+    return {
+      title,
+      text: {
+        status: 'generated',
+        div: `<div xmlns="http://www.w3.org/1999/xhtml">${items.length ? `<ul>${items.map(s => `<li>${escapeXml(itemText(s))}</li>`).join('')}</ul>` : '<p>Nothing documented.</p>'}</div>`
+      },
+      ...(ids.length ? { entry: ids.map(id => nodeReference(note, ctx.sessionId, id)) } : {})
+    };
+  };
+  return {
+    resourceType: 'Composition',
+    id: stableUuid(ctx.sessionId, 'note', kind),
+    identifier: { system: 'urn:articula:note', value: `${ctx.sessionId}/${kind}` },
+    status: 'preliminary',
+    type: { coding: [{ system: LOINC, code: type.code, display: type.display }], text: type.title },
+    ...(ctx.subject ? { subject: ctx.subject } : {}),
+    date: note.generated_at,
+    author: [{ display: `Articula note generator (${note.model})` }],
+    title: type.title,
+    section: [
+      ...names.map(name => section(SECTION_TITLES[name], sections?.[name] || [])),
+      ...(note.follow_ups?.length
+        ? [soap ? section('Follow-up (risk factors not addressed)', note.follow_ups) : section('Questions for your next visit', note.follow_ups, f => `Ask your care team about: ${f.label}`)]
+        : [])
+    ]
+  };
+}
+
+function documentReference(note, kind, ctx, markdown){
+  const type = NOTE_TYPES[kind];
+  return {
+    resourceType: 'DocumentReference',
+    id: stableUuid(ctx.sessionId, 'note', kind, 'document'),
+    status: 'current',
+    docStatus: 'preliminary',
+    type: { coding: [{ system: LOINC, code: type.code, display: type.display }], text: type.title },
+    ...(ctx.subject ? { subject: ctx.subject } : {}),
+    date: note.generated_at,
+    description: `${type.title} (draft, Markdown)`,
+    content: [{ attachment: { contentType: 'text/markdown; charset=utf-8', title: `${ctx.sessionId}-${kind}.md`, data: Buffer.from(markdown, 'utf8').toString('base64') } }],
+    context: { related: [{ reference: `urn:uuid:${stableUuid(ctx.sessionId, 'note', kind)}` }] }
+  };
+}
+
+// Collection Bundle with a Composition and a Markdown DocumentReference for each of the SOAP note and the AVS
+export function noteToFhir(note, opts = {}){
+  const sessionId = opts.sessionId || 'kg';
+  const ctx = { sessionId, subject: opts.patientId ? { reference: `Patient/${opts.patientId}` } : undefined };
+  const entry = [];
+  for (const kind of ['soap', 'avs']) {
+    const comp = composition(note, kind, ctx);
+    const doc = documentReference(note, kind, ctx, noteToMarkdown(note, kind, { sessionId }));
+    entry.push({ fullUrl: `urn:uuid:${comp.id}`, resource: comp }, { fullUrl: `urn:uuid:${doc.id}`, resource: doc });
+  }
+  return { resourceType: 'Bundle', id: stableUuid(sessionId, 'note', 'bundle'), type: 'collection', timestamp: note.generated_at, entry };
+}
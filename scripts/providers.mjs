@@ -0,0 +1,237 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import OpenAI from 'openai';
+
+const DEFAULT_FIXTURE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// LLM provider layer shared by extraction, risk projection and sample generation.
+// Every provider exposes generate({ purpose, model, input, system, temperature, max_output_tokens, json, schema })
+// and resolves to { text, model, api, usage }. Network providers also expose the `baseURL` they call.
+
+export function aggregateResponseText(resp){
+  try{
+    if (typeof resp?.output_text === 'string' && resp.output_text.trim()) return resp.output_text.trim();
+    const aggregates = [];
+    const outputItems = Array.isArray(resp?.output) ? resp.output : (Array.isArray(resp?.outputs) ? resp.outputs : []);
+    for (const item of outputItems) {
+      const content = Array.isArray(item?.content) ? item.content : [];
+      for (const seg of content) {
+        if (typeof seg?.text === 'string' && seg.text.trim()) aggregates.push(seg.text.trim());
+        else if (typeof seg?.content === 'string' && seg.content.trim()) aggregates.push(seg.content.trim());
+      }
+    }
+    if (!aggregates.length && Array.isArray(resp?.choices) && resp.choices[0]?.message?.content) {
+      aggregates.push(String(resp.choices[0].message.content));
+    }
+    return aggregates.join('\n').trim();
+  } catch { return ''; }
+}
+
+function normalizeUsage(usage){
+  if (!usage || typeof usage !== 'object') return null;
+  const input = usage.input_tokens ?? usage.prompt_tokens;
+  const output = usage.output_tokens ?? usage.completion_tokens;
+  return {
+    input_tokens: Number.isFinite(input) ? input : 0,
+    output_tokens: Number.isFinite(output) ? output : 0
+  };
+}
+
+// Parameters some models reject; drop the offending one and retry instead of failing the call.
+// Structured output is downgraded first: a rejected JSON schema falls back to plain JSON mode, then to nothing.
+const DROPPABLE_PARAMS = [
+  { key: 'temperature', pattern: /temperature/i },
+  { key: 'max_output_tokens', pattern: /max[_ ]?output[_ ]?tokens/i },
+  { key: 'max_tokens', pattern: /max[_ ]?tokens/i },
+  { key: 'response_format', pattern: /response[_ ]?format|json[_ ]?schema/i, downgrade: v => v?.type === 'json_schema' ? { type: 'json_object' } : undefined },
+  { key: 'text', pattern: /text\.format|json[_ ]?schema/i, downgrade: v => v?.format?.type === 'json_schema' ? { format: { type: 'json_object' } } : undefined }
+];
+
+async function withParamBackoff(initialParams, call){
+  const params = { ...initialParams };
+  for (let i = 0; i <= DROPPABLE_PARAMS.length + 2; i++) {
+    try {
+      return await call(params);
+    } catch (e) {
+      const msg = String(e?.message || '');
+      const badParam = e?.error?.param || e?.param || '';
+      const droppable = DROPPABLE_PARAMS.find(p => p.key in params && (badParam === p.key || p.pattern.test(msg)));
+      if (!droppable) throw e;
+      const downgraded = droppable.downgrade?.(params[droppable.key]);
+      if (downgraded) params[droppable.key] = downgraded;
+      else delete params[droppable.key];
+    }
+  }
+  throw new Error('Failed to call model after removing unsupported parameters');
+}
+
+// request.schema ({ name, schema }) asks for strict structured output; request.json for any JSON object
+function chatResponseFormat(request){
+  if (request.schema) return { type: 'json_schema', json_schema: { name: request.schema.name, schema: request.schema.schema, strict: true } };
+  if (request.json) return { type: 'json_object' };
+  return null;
+}
+
+function chatMessages(request){
+  const messages = [];
+  if (request.system) messages.push({ role: 'system', content: request.system });
+  messages.push({ role: 'user', content: request.input });
+  return messages;
+}
+
+// OpenAI SDK backend: Responses API first, Chat Completions as fallback (unknown model, empty output)
+export function createOpenAIProvider(config = {}){
+  const baseURL = String(config.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+      if (!apiKey) throw new Error('Missing OpenAI API key. Set OPENAI_API_KEY or choose another LLM_PROVIDER.');
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  };
+
+  async function viaResponses(request){
+    const params = { model: request.model, input: request.system ? `${request.system}\n\n${request.input}` : request.input };
+    if (request.schema) params.text = { format: { type: 'json_schema', name: request.schema.name, schema: request.schema.schema, strict: true } };
+    else if (request.json) params.text = { format: { type: 'json_object' } };
+    if (Number.isFinite(request.temperature)) params.temperature = request.temperature;
+    if (Number.isFinite(request.max_output_tokens)) params.max_output_tokens = request.max_output_tokens;
+    const resp = await withParamBackoff(params, p => getClient().responses.create(p));
+    return { text: aggregateResponseText(resp), model: request.model, api: 'responses', usage: normalizeUsage(resp?.usage) };
+  }
+
+  async function viaChat(request){
+    const params = { model: request.model, messages: chatMessages(request) };
+    const format = chatResponseFormat(request);
+    if (format) params.response_format = format;
+    if (Number.isFinite(request.temperature)) params.temperature = request.temperature;
+    if (Number.isFinite(request.max_output_tokens)) params.max_tokens = request.max_output_tokens;
+    const resp = await withParamBackoff(params, p => getClient().chat.completions.create(p));
+    return { text: aggregateResponseText(resp), model: request.model, api: 'chat', usage: normalizeUsage(resp?.usage) };
+  }
+
+  return {
+    name: 'openai',
+    baseURL,
+    async generate(request){
+      let first;
+      try {
+        first = await viaResponses(request);
+        if (first.text) return first;
+      } catch (e) {
+        try {
+          const chat = await viaChat(request);
+          if (chat.text) return chat;
+        } catch {}
+        throw e;
+      }
+      const chat = await viaChat(request).catch(() => null);
+      return chat?.text ? chat : first;
+    }
+  };
+}
+
+// Plain HTTP backend for OpenAI-compatible servers (vLLM, Ollama, LM Studio, llama.cpp, ...)
+export function createHttpProvider(config = {}){
+  const baseURL = String(config.baseURL || process.env.LLM_BASE_URL || 'http://127.0.0.1:11434/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey ?? process.env.LLM_API_KEY ?? '';
+  const timeoutMs = Number.isFinite(Number(config.timeoutMs ?? process.env.LLM_TIMEOUT_MS)) ? Number(config.timeoutMs ?? process.env.LLM_TIMEOUT_MS) : 120000;
+
+  async function post(params){
+    const res = await fetch(`${baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify(params),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const body = await res.text();
+    if (!res.ok) {
+      let detail = body;
+      let param = '';
+      try {
+        const parsed = JSON.parse(body);
+        detail = parsed?.error?.message || parsed?.message || body;
+        param = parsed?.error?.param || '';
+      } catch {}
+      const err = new Error(`LLM endpoint ${baseURL} returned ${res.status}: ${String(detail).slice(0, 300)}`);
+      err.status = res.status;
+      err.param = param;
+      throw err;
+    }
+    return JSON.parse(body);
+  }
+
+  return {
+    name: 'http',
+    baseURL,
+    async generate(request){
+      const params = { model: request.model, messages: chatMessages(request) };
+      const format = chatResponseFormat(request);
+      if (format) params.response_format = format;
+      if (Number.isFinite(request.temperature)) params.temperature = request.temperature;
+      if (Number.isFinite(request.max_output_tokens)) params.max_tokens = request.max_output_tokens;
+      const resp = await withParamBackoff(params, post);
+      return { text: aggregateResponseText(resp), model: resp?.model || request.model, api: 'chat', usage: normalizeUsage(resp?.usage) };
+    }
+  };
+}
+
+export function fixtureKey(input){
+  return crypto.createHash('sha256').update(String(input ?? '')).digest('hex').slice(0, 16);
+}
+
+// Deterministic replay from files: <dir>/<purpose>/<sha256(input)[0:16]>.{json,txt}, else <dir>/<purpose>.{json,txt}
+export function createFixtureProvider(config = {}){
+  const dir = path.resolve(config.dir || process.env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+
+  async function readFirst(candidates){
+    for (const file of candidates) {
+      try {
+        return { file, text: await fs.readFile(file, 'utf8') };
+      } catch (e) {
+        if (e?.code !== 'ENOENT') throw e;
+      }
+    }
+    return null;
+  }
+
+  return {
+    name: 'fixture',
+    dir,
+    async generate(request){
+      const purpose = String(request.purpose || 'default').replace(/[^A-Za-z0-9_-]/g, '_');
+      const key = fixtureKey(request.input);
+      const hit = await readFirst([
+        path.join(dir, purpose, `${key}.json`),
+        path.join(dir, purpose, `${key}.txt`),
+        path.join(dir, `${purpose}.json`),
+        path.join(dir, `${purpose}.txt`)
+      ]);
+      if (!hit) throw new Error(`No fixture for ${purpose} (key ${key}) in ${dir}`);
+      return { text: hit.text.trim(), model: request.model, api: 'fixture', usage: { input_tokens: 0, output_tokens: 0 }, fixture: path.relative(dir, hit.file) };
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  http: createHttpProvider,
+  'openai-compatible': createHttpProvider,
+  fixture: createFixtureProvider
+};
+
+const providerCache = new Map();
+
+// Resolve a provider from an instance, a name, or LLM_PROVIDER (default: openai)
+export function getProvider(spec){
+  if (spec && typeof spec === 'object' && typeof spec.generate === 'function') return spec;
+  const name = String(spec || process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown LLM provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  if (!providerCache.has(name)) providerCache.set(name, factory());
+  return providerCache.get(name);
+}
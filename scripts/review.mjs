@@ -0,0 +1,168 @@
+// Clinician review of a stored session KG.
+// The first review snapshots the model's output into `llm_output`; edits then change the top-level
+// nodes/edges/risk_projection (the reviewed version) and every change is appended to `review.log`.
+
+export const RISK_STATUSES = ['addressed', 'not_addressed', 'uncertain'];
+
+function clone(value){
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function snapshotLlmOutput(kg){
+  if (kg.llm_output) return;
+  kg.llm_output = clone({
+    nodes: kg.nodes || [],
+    edges: kg.edges || [],
+    risk_projection: kg.risk_projection || null,
+    summary: kg.summary || ''
+  });
+}
+
+function findNode(kg, id){
+  const node = (kg.nodes || []).find(n => n && String(n.id) === String(id));
+  if (!node) throw new Error(`Node not found: ${id}`);
+  return node;
+}
+
+function nextNodeId(kg){
+  const numeric = (kg.nodes || []).map(n => Number(n?.id)).filter(Number.isFinite);
+  return String(numeric.length ? Math.max(...numeric) + 1 : (kg.nodes || []).length + 1);
+}
+
+function edgeMatches(edge, ref){
+  return String(edge.source) === String(ref.source) && String(edge.target) === String(ref.target) && edge.type === ref.type;
+}
+
+function cleanAttributes(attributes){
+  if (attributes == null) return {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) throw new Error('attributes must be an object');
+  return attributes;
+}
+
+// Each handler mutates the KG and returns { target, before, after } for the log
+const ACTIONS = {
+  set_risk_status(kg, action, ctx){
+    const node = findNode(kg, action.node_id);
+    if (node.type !== 'RiskFactor') throw new Error(`Node ${node.id} is not a RiskFactor`);
+    const status = String(action.status || '').toLowerCase();
+    if (!RISK_STATUSES.includes(status)) throw new Error(`status must be one of ${RISK_STATUSES.join(', ')}`);
+    const before = node.attributes?.coverage_status || null;
+    node.attributes = { ...(node.attributes || {}), coverage_status: status };
+    const entry = kg.risk_projection?.risk_factors?.find(rf => String(rf.id) === String(node.id));
+    if (entry) entry.status = status;
+    else if (kg.risk_projection && Array.isArray(kg.risk_projection.risk_factors)) {
+      kg.risk_projection.risk_factors.push({ id: String(node.id), label: node.label, status, doctor_quote: '', patient_quote: '', rationale: '' });
+    }
+    const llmStatus = kg.llm_output?.nodes?.find(n => String(n.id) === String(node.id))?.attributes?.coverage_status || null;
+    node.review = {
+      decision: llmStatus && llmStatus === status ? 'confirmed' : 'overridden',
+      llm_status: llmStatus,
+      note: String(action.note || ''),
+      by: ctx.reviewer,
+      at: ctx.at
+    };
+    return { target: `node:${node.id}`, before, after: status };
+  },
+  update_node(kg, action, ctx){
+    const node = findNode(kg, action.node_id);
+    const before = clone({ type: node.type, label: node.label, attributes: node.attributes || {} });
+    if (action.node_type != null) {
+      if (!ctx.nodeTypes.includes(action.node_type)) throw new Error(`Unknown node type: ${action.node_type}`);
+      node.type = action.node_type;
+    }
+    if (action.label != null) {
+      const label = String(action.label).trim();
+      if (!label) throw new Error('label cannot be empty');
+      node.label = label;
+    }
+    if (action.attributes != null) {
+      // null values remove an attribute
+      const merged = { ...(node.attributes || {}) };
+      for (const [k, v] of Object.entries(cleanAttributes(action.attributes))) {
+        if (v === null) delete merged[k];
+        else merged[k] = v;
+      }
+      node.attributes = merged;
+    }
+    if (before.label !== node.label || before.type !== node.type) {
+      // Codes belonged to the old label; grounding runs again after the review is applied
+      delete node.codes;
+      delete node.grounding;
+    }
+    return { target: `node:${node.id}`, before, after: clone({ type: node.type, label: node.label, attributes: node.attributes }) };
+  },
+  add_node(kg, action, ctx){
+    const input = action.node || {};
+    if (!ctx.nodeTypes.includes(input.type)) throw new Error(`Unknown node type: ${input.type}`);
+    const label = String(input.label || '').trim();
+    if (!label) throw new Error('label is required');
+    const node = {
+      id: nextNodeId(kg),
+      type: input.type,
+      label,
+      attributes: cleanAttributes(input.attributes),
+      ...(input.source_span ? { source_span: String(input.source_span) } : {}),
+      origin: 'reviewer'
+    };
+    kg.nodes = [...(kg.nodes || []), node];
+    return { target: `node:${node.id}`, before: null, after: clone(node) };
+  },
+  delete_node(kg, action){
+    const node = findNode(kg, action.node_id);
+    const id = String(node.id);
+    const removedEdges = (kg.edges || []).filter(e => String(e.source) === id || String(e.target) === id);
+    kg.nodes = kg.nodes.filter(n => n !== node);
+    kg.edges = (kg.edges || []).filter(e => !removedEdges.includes(e));
+    if (Array.isArray(kg.risk_projection?.risk_factors)) {
+      kg.risk_projection.risk_factors = kg.risk_projection.risk_factors.filter(rf => String(rf.id) !== id);
+    }
+    return { target: `node:${id}`, before: clone({ node, edges: removedEdges }), after: null };
+  },
+  add_edge(kg, action, ctx){
+    const input = action.edge || {};
+    if (!ctx.edgeTypes.includes(input.type)) throw new Error(`Unknown edge type: ${input.type}`);
+    findNode(kg, input.source);
+    findNode(kg, input.target);
+    const edge = { source: String(input.source), type: input.type, target: String(input.target), origin: 'reviewer' };
+    if ((kg.edges || []).some(e => edgeMatches(e, edge))) throw new Error('Edge already exists');
+    kg.edges = [...(kg.edges || []), edge];
+    return { target: `edge:${edge.source}|${edge.type}|${edge.target}`, before: null, after: clone(edge) };
+  },
+  delete_edge(kg, action){
+    const ref = action.edge || action;
+    const edge = (kg.edges || []).find(e => edgeMatches(e, ref));
+    if (!edge) throw new Error(`Edge not found: ${ref.source} -${ref.type}-> ${ref.target}`);
+    kg.edges = kg.edges.filter(e => e !== edge);
+    return { target: `edge:${edge.source}|${edge.type}|${edge.target}`, before: clone(edge), after: null };
+  }
+};
+
+export const REVIEW_ACTIONS = Object.keys(ACTIONS);
+
+// Apply a batch of reviewer actions to a session KG; all or nothing (throws on the first invalid action).
+// opts: { nodeTypes, edgeTypes, now }
+export function applyReview(kg, request, opts = {}){
+  const reviewer = String(request?.reviewer || '').trim();
+  if (!reviewer) throw new Error('reviewer is required');
+  const actions = Array.isArray(request?.actions) ? request.actions : (request?.action ? [request.action] : []);
+  if (!actions.length) throw new Error('No review actions given');
+
+  const next = clone(kg);
+  snapshotLlmOutput(next);
+  const at = (opts.now || new Date()).toISOString();
+  const ctx = { reviewer, at, nodeTypes: opts.nodeTypes || [], edgeTypes: opts.edgeTypes || [] };
+
+  const entries = actions.map((action, i) => {
+    const handler = ACTIONS[action?.type];
+    if (!handler) throw new Error(`Unknown review action at ${i}: ${action?.type} (expected one of ${REVIEW_ACTIONS.join(', ')})`);
+    const change = handler(next, action, ctx);
+    return { at, reviewer, action: action.type, ...change, note: String(action.note || '') };
+  });
+
+  const review = next.review && typeof next.review === 'object' ? next.review : { log: [] };
+  review.log = [...(Array.isArray(review.log) ? review.log : []), ...entries];
+  review.reviewers = [...new Set([...(review.reviewers || []), reviewer])];
+  review.updated_at = at;
+  next.review = review;
+  return { kg: next, entries };
+}
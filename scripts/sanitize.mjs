@@ -0,0 +1,51 @@
+// Strips markup and invisible control characters from transcript text and model output before it is stored.
+// Text is not HTML-escaped: the viewer renders it with textContent, so escaping here would show up as "&lt;".
+
+// Elements whose content is never clinical text
+const DROP_BLOCKS = /<(script|style|iframe|object|embed|svg|math|template|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const COMMENTS = /<!--[\s\S]*?(-->|$)/g;
+// Opening/closing tags only ("BP < 120" and "<3" stay)
+const TAGS = /<\/?[a-z][a-z0-9-]*(\s[^<>]*)?\/?>/gi;
+// C0 controls except tab/newline/carriage return, DEL, bidi overrides and zero-width characters
+const CONTROL = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export function sanitizeText(value){
+  return String(value ?? '')
+    .replace(DROP_BLOCKS, '')
+    .replace(COMMENTS, '')
+    .replace(TAGS, '')
+    .replace(CONTROL, '');
+}
+
+// Sanitizes every string (and object key) in a JSON value in place; returns the number of strings changed
+export function sanitizeKg(value){
+  let changed = 0;
+  const walk = (v) => {
+    if (typeof v === 'string') {
+      const clean = sanitizeText(v);
+      if (clean !== v) changed++;
+      return clean;
+    }
+    if (Array.isArray(v)) {
+      for (let i = 0; i < v.length; i++) v[i] = walk(v[i]);
+      return v;
+    }
+    if (v && typeof v === 'object') {
+      for (const key of Object.keys(v)) {
+        const cleanKey = sanitizeText(key);
+        const next = walk(v[key]);
+        if (cleanKey !== key || UNSAFE_KEYS.has(cleanKey)) {
+          changed++;
+          delete v[key];
+          if (cleanKey && !UNSAFE_KEYS.has(cleanKey)) v[cleanKey] = next;
+        } else {
+          v[key] = next;
+        }
+      }
+    }
+    return v;
+  };
+  walk(value);
+  return changed;
+}
@@ -0,0 +1,198 @@
+import crypto from 'node:crypto';
+
+// Request hardening for server.mjs: API-key / session-token auth, an origin allowlist for CORS,
+// body size and content-type limits, and per-client rate limits and concurrency caps on the model routes.
+// Everything is configured from the environment (see securityConfig); with no API_KEYS set, auth is off.
+
+const list = (value) => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+export const SESSION_COOKIE = 'articula_session';
+
+export function securityConfig(env = process.env){
+  return {
+    apiKeys: list(env.API_KEYS || env.API_KEY),
+    // Without a fixed secret, session tokens stop working when the server restarts
+    sessionSecret: env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    sessionTtlMs: number(env.SESSION_TTL_MINUTES, 480) * 60 * 1000,
+    allowedOrigins: list(env.ALLOWED_ORIGINS),
+    maxBodyBytes: number(env.MAX_BODY_BYTES, 2 * 1024 * 1024),
+    rateLimitPerMinute: number(env.RATE_LIMIT_PER_MINUTE, 20),
+    maxConcurrentPerClient: number(env.MAX_CONCURRENT_PER_CLIENT, 2),
+    maxConcurrent: number(env.MAX_CONCURRENT_LLM, 4),
+    trustProxy: /^(1|true)$/i.test(String(env.TRUST_PROXY || ''))
+  };
+}
+
+// Errors carry the HTTP status the server should answer with
+function httpError(status, message, headers){
+  const err = new Error(message);
+  err.status = status;
+  if (headers) err.headers = headers;
+  return err;
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function safeEqual(a, b){
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function parseCookies(header){
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    // A value that is not valid percent-encoding is ignored, as if the cookie were not sent
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {}
+  }
+  return out;
+}
+
+export function createSecurity(config = securityConfig()){
+  const keys = config.apiKeys;
+  const authEnabled = keys.length > 0;
+  const windows = new Map();
+  const active = new Map();
+  let activeTotal = 0;
+
+  const sign = (payload) => crypto.createHmac('sha256', config.sessionSecret).update(payload).digest('base64url');
+  // Clients are told apart by a hash of their key, never the key itself
+  const keyClient = (key) => `key:${sha256(key).toString('hex').slice(0, 12)}`;
+
+  function bearer(req){
+    const auth = String(req.headers.authorization || '');
+    if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim();
+    return String(req.headers['x-api-key'] || '').trim();
+  }
+
+  function matchKey(value){
+    return value ? keys.find(k => safeEqual(k, value)) : undefined;
+  }
+
+  // Token: <expires ms>.<client>.<hmac>
+  function verifyToken(token){
+    const [expires, client, mac] = String(token || '').split('.');
+    if (!expires || !client || !mac) return null;
+    if (!safeEqual(sign(`${expires}.${client}`), mac)) return null;
+    if (Number(expires) < Date.now()) return null;
+    return client;
+  }
+
+  function clientAddress(req){
+    const forwarded = config.trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+    return forwarded || req.socket?.remoteAddress || 'unknown';
+  }
+
+  return {
+    config,
+    authEnabled,
+
+    // { ok, client } — client identifies the caller for rate limiting (key hash, session or address)
+    authenticate(req){
+      const presented = bearer(req);
+      const key = matchKey(presented);
+      if (key) return { ok: true, client: keyClient(key) };
+      const tokenClient = verifyToken(presented) || verifyToken(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+      if (tokenClient) return { ok: true, client: tokenClient };
+      return { ok: !authEnabled, client: `ip:${clientAddress(req)}` };
+    },
+
+    // Exchanges an API key for a signed, expiring session token (null when the key is wrong)
+    issueSession(apiKey){
+      const key = matchKey(String(apiKey || '').trim());
+      if (!key) return null;
+      const expires = Date.now() + config.sessionTtlMs;
+      const payload = `${expires}.${keyClient(key)}`;
+      return { token: `${payload}.${sign(payload)}`, expires_at: new Date(expires).toISOString() };
+    },
+
+    sessionCookie(token, secure = false){
+      const maxAge = token ? Math.floor(config.sessionTtlMs / 1000) : 0;
+      return `${SESSION_COOKIE}=${encodeURIComponent(token || '')}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    },
+
+    // Same-origin requests and requests without an Origin header (curl, server-to-server) always pass
+    originAllowed(req){
+      const origin = req.headers.origin;
+      if (!origin) return true;
+      const host = req.headers.host;
+      if (host && (origin === `http://${host}` || origin === `https://${host}`)) return true;
+      return config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin);
+    },
+
+    // CORS headers for an allowed cross-origin caller (none for same-origin requests)
+    corsHeaders(req){
+      const origin = req.headers.origin;
+      if (!origin) return {};
+      if (config.allowedOrigins.includes(origin)) {
+        return { 'access-control-allow-origin': origin, 'access-control-allow-credentials': 'true', 'vary': 'Origin' };
+      }
+      if (config.allowedOrigins.includes('*')) return { 'access-control-allow-origin': '*' };
+      return {};
+    },
+
+    // Reads the request body up to maxBodyBytes; non-empty bodies must be JSON
+    async readBody(req){
+      const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const length = Number(req.headers['content-length']);
+      if (Number.isFinite(length) && length > config.maxBodyBytes) {
+        req.resume();
+        throw httpError(413, `Request body too large (limit ${config.maxBodyBytes} bytes)`);
+      }
+      // Past the limit the rest is drained unread, so the 413 can still be sent on this connection
+      const chunks = [];
+      let size = 0;
+      await new Promise((resolve, reject) => {
+        req.on('data', chunk => {
+          size += chunk.length;
+          if (size <= config.maxBodyBytes) chunks.push(chunk);
+        });
+        req.on('end', resolve);
+        req.on('error', reject);
+      });
+      if (size > config.maxBodyBytes) throw httpError(413, `Request body too large (limit ${config.maxBodyBytes} bytes)`);
+      const body = Buffer.concat(chunks).toString('utf8');
+      if (body.trim() && type !== 'application/json' && !type.endsWith('+json')) {
+        throw httpError(415, 'Request body must be JSON (content-type: application/json)');
+      }
+      return body;
+    },
+
+    // Sliding one-minute window per client plus concurrency caps; returns release() or throws 429/503
+    acquire(client){
+      const now = Date.now();
+      const recent = (windows.get(client) || []).filter(t => t > now - 60_000);
+      windows.set(client, recent);
+      if (config.rateLimitPerMinute > 0 && recent.length >= config.rateLimitPerMinute) {
+        const retryAfter = Math.max(1, Math.ceil((recent[0] + 60_000 - now) / 1000));
+        throw httpError(429, `Rate limit exceeded (${config.rateLimitPerMinute} requests per minute)`, { 'retry-after': String(retryAfter) });
+      }
+      const mine = active.get(client) || 0;
+      if (config.maxConcurrentPerClient > 0 && mine >= config.maxConcurrentPerClient) {
+        throw httpError(429, `Too many concurrent requests (limit ${config.maxConcurrentPerClient} per client)`, { 'retry-after': '5' });
+      }
+      if (config.maxConcurrent > 0 && activeTotal >= config.maxConcurrent) {
+        throw httpError(503, 'Server busy, try again shortly', { 'retry-after': '5' });
+      }
+      recent.push(now);
+      // Forget idle clients now and then so the map does not grow without bound
+      if (windows.size > 1000) {
+        for (const [id, times] of windows) if (!times.some(t => t > now - 60_000)) windows.delete(id);
+      }
+      active.set(client, mine + 1);
+      activeTotal++;
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        activeTotal--;
+        const left = (active.get(client) || 1) - 1;
+        if (left > 0) active.set(client, left);
+        else active.delete(client);
+      };
+    }
+  };
+}
@@ -2,13 +2,34 @@ import http from 'node:http';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { extractToKg } from './extract.mjs';
-import OpenAI from 'openai';
+import { extractToKg, NODE_TYPES, EDGE_TYPES } from './extract.mjs';
+import { diffSessions } from './diff.mjs';
+import { aggregateCohort } from './cohort.mjs';
+import { getProvider } from './providers.mjs';
+import { withCache } from './cache.mjs';
+import { kgToFhirBundle } from './fhir-export.mjs';
+import { EXPORT_FORMATS, IMPORT_FORMATS, exportKg, importKg } from './graph-formats.mjs';
+import { generateNote, noteToMarkdown, noteToFhir } from './notes.mjs';
+import { normalizeFhir, selectPatientChart } from './fhir-import.mjs';
+import { validateKg } from './validation.mjs';
+import { applyReview } from './review.mjs';
+import { loadTerminology, groundKg } from './terminology.mjs';
+import { checkSpans } from './spans.mjs';
+import { loadAssumptionRules, detectAssumptions } from './assumptions.mjs';
+import { sanitizeKg } from './sanitize.mjs';
+import { loadDeidKey, saveDeidKey, reidentifyKg, deidentifyValue } from './deid.mjs';
+import { saveSession, getSession, writeSession, deleteSession, listSessions, isValidSessionId } from './sessions.mjs';
+import { createSecurity } from './security.mjs';
+import { parseTranscript } from './transcript.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(path.join(__dirname, '..'));
 
+const security = createSecurity();
+// With auth on, only the viewer itself is served without credentials (data/ holds sessions and charts)
+const PUBLIC_STATIC = /^\/(index\.html|favicon\.svg|scripts\/[\w.-]+\.mjs)?$/;
+
 const MIME = {
   '.html': 'text/html; charset=utf-8',
   '.js':   'text/javascript; charset=utf-8',
@@ -21,7 +42,7 @@ const MIME = {
 
 function send(res, status, body, headers = {}){
   const buf = typeof body === 'string' || body instanceof Buffer ? body : JSON.stringify(body);
-  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'access-control-allow-origin': '*', ...headers });
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
   res.end(buf);
 }
 
@@ -40,6 +61,11 @@ async function serveStatic(req, res){
     if (relative.startsWith('..') || path.isAbsolute(relative)) {
       return send(res, 403, { error: 'Forbidden' });
     }
+    // Surrogate keys of de-identified sessions are only used server-side
+    const keyDir = path.relative(ROOT, deidKeyDir());
+    if (!keyDir.startsWith('..') && (relative === keyDir || relative.startsWith(keyDir + path.sep))) {
+      return send(res, 403, { error: 'Forbidden' });
+    }
 
     const ext = path.extname(filePath).toLowerCase();
     const type = MIME[ext] || 'application/octet-stream';
@@ -51,42 +77,383 @@ async function serveStatic(req, res){
   }
 }
 
+// Chart for a patient from data/fhir.json (chart shape or R4 Bundle); first patient when id is empty,
+// null when the file has no chart for that id
+async function loadChart(patientId = ''){
+  try {
+    const raw = JSON.parse(await fs.readFile(path.join(ROOT, 'data', 'fhir.json'), 'utf8'));
+    return selectPatientChart(normalizeFhir(raw), patientId);
+  } catch {
+    return null;
+  }
+}
+
+// A chart posted by the viewer (e.g. from an imported Bundle) wins over data/fhir.json, unless it is for
+// another patient than the posted patientId
+async function resolveChart(parsed){
+  const patientId = String(parsed.patientId || '').trim();
+  if (parsed.chart && typeof parsed.chart === 'object' && parsed.chart.patient && (!patientId || parsed.chart.patient.id === patientId)) return parsed.chart;
+  return loadChart(patientId);
+}
+
+// Chart of the patient a stored session belongs to; none when the session has no patient
+async function sessionChart(kg){
+  const patientId = String(kg?.session?.patient_id || '').trim();
+  return patientId ? loadChart(patientId) : null;
+}
+
+// The router has already read the body (size and content-type checked) into req.body
+// Malformed JSON throws an error with status 400 and the parser's message
+async function readJsonBody(req){
+  const body = req.body ?? await security.readBody(req);
+  if (!body.trim()) return {};
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    const err = new Error(`Invalid JSON body: ${e.message}`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+// Session id from a route segment; answers 400 and returns null when it is not valid percent-encoding
+function decodeSessionId(res, segment){
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    send(res, 400, { error: 'Invalid session id' });
+    return null;
+  }
+}
+
+// Plain-text form of a posted transcript (body.format: auto | text | webvtt | srt, body.filename), whose header
+// names the session; throws on an unknown format
+function transcriptRecord(text, parsed){
+  return parseTranscript(text, { format: parsed.format, filename: parsed.filename }).text;
+}
+
 async function handleAnalyze(req, res){
+  let parsed;
+  try {
+    parsed = await readJsonBody(req);
+  } catch (e) {
+    return send(res, e.status || 400, { error: String(e.message || e) });
+  }
   try{
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    await new Promise(resolve => req.on('end', resolve));
-    const parsed = body ? JSON.parse(body) : {};
     const text = String(parsed.text || '').trim();
     if (!text) return send(res, 400, { error: 'Missing text' });
+    let record;
+    try {
+      record = transcriptRecord(text, parsed);
+    } catch (e) {
+      return send(res, 400, { error: String(e.message || e) });
+    }
     const analyzeModel = (process.env.ANALYZE_MODEL || 'gpt-4o-mini').trim();
-    const json = await extractToKg(text, { writeFile: true, baseDir: ROOT, model: analyzeModel });
-    send(res, 200, { ok: true, nodes: json.nodes?.length || 0, edges: json.edges?.length || 0 });
+    const chart = await resolveChart(parsed);
+    const json = await extractToKg(text, { writeFile: false, baseDir: ROOT, model: analyzeModel, chartContext: chart, format: parsed.format, filename: parsed.filename });
+    const patientId = String(parsed.patientId || '').trim() || chart?.patient?.id || '';
+    const saved = await saveSession(ROOT, record, json, { model: analyzeModel, patient_id: patientId });
+    send(res, 200, { ok: true, session: saved.session.id, nodes: json.nodes?.length || 0, edges: json.edges?.length || 0 });
   } catch (e) {
     console.error('Analyze failed:', e);
     send(res, 500, { error: String(e.message || e) });
   }
 }
 
-async function handleGenerateSample(req, res){
+// Same pipeline as /analyze, but streams stage events as Server-Sent Events while it runs
+async function handleAnalyzeStream(req, res){
+  let parsed;
+  try {
+    parsed = await readJsonBody(req);
+  } catch (e) {
+    return send(res, e.status || 400, { error: String(e.message || e) });
+  }
+  const text = String(parsed.text || '').trim();
+  if (!text) return send(res, 400, { error: 'Missing text' });
+  let record;
+  try {
+    record = transcriptRecord(text, parsed);
+  } catch (e) {
+    return send(res, 400, { error: String(e.message || e) });
+  }
+
+  res.writeHead(200, {
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache',
+    'connection': 'keep-alive'
+  });
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const emit = (event, data = {}) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
   try{
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return send(res, 500, { error: 'Missing OpenAI API key. Set OPENAI_API_KEY to enable sample generation.' });
+    const analyzeModel = (process.env.ANALYZE_MODEL || 'gpt-4o-mini').trim();
+    const chart = await resolveChart(parsed);
+    const json = await extractToKg(text, { writeFile: false, baseDir: ROOT, model: analyzeModel, chartContext: chart, onProgress: emit, format: parsed.format, filename: parsed.filename });
+    const patientId = String(parsed.patientId || '').trim() || chart?.patient?.id || '';
+    const saved = await saveSession(ROOT, record, json, { model: analyzeModel, patient_id: patientId });
+    emit('written', { session: saved.session.id });
+    emit('done', { ok: true, session: saved.session.id, nodes: json.nodes?.length || 0, edges: json.edges?.length || 0 });
+  } catch (e) {
+    console.error('Analyze stream failed:', e);
+    emit('error', { error: String(e.message || e) });
+  }
+  res.end();
+}
+
+async function handleListSessions(req, res){
+  try{
+    send(res, 200, { sessions: await listSessions(ROOT) });
+  } catch (e) {
+    console.error('List sessions failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
+
+async function handleDiffSessions(req, res){
+  try{
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    let ids = String(params.get('ids') || '').split(',').map(s => s.trim()).filter(Boolean);
+    const patient = String(params.get('patient') || '').trim();
+    if (!ids.length && patient) {
+      ids = (await listSessions(ROOT)).filter(s => s.patient_id === patient).map(s => s.id);
     }
+    if (ids.length < 2) return send(res, 400, { error: 'Provide at least two sessions via ?ids=a,b or ?patient=<id>' });
+    const invalid = ids.find(id => !isValidSessionId(id));
+    if (invalid) return send(res, 400, { error: `Invalid session id: ${invalid}` });
+    const kgs = [];
+    for (const id of ids) {
+      const kg = await getSession(ROOT, id);
+      if (!kg) return send(res, 404, { error: `Session not found: ${id}` });
+      kgs.push(kg);
+    }
+    let diff;
+    try {
+      diff = diffSessions(kgs);
+    } catch (e) {
+      return send(res, 400, { error: String(e.message || e) });
+    }
+    send(res, 200, diff);
+  } catch (e) {
+    console.error('Session diff failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
 
-    const preferredModel = (process.env.SAMPLE_MODEL || 'gpt-4o-mini').trim();
-    const temperature = Number.isFinite(Number(process.env.SAMPLE_TEMPERATURE)) ? Number(process.env.SAMPLE_TEMPERATURE) : 0.8;
-    const maxOutputTokens = Number.isFinite(Number(process.env.SAMPLE_TOKENS)) ? Number(process.env.SAMPLE_TOKENS) : 700;
-    const rawConfiguredModels = String(process.env.SAMPLE_MODELS || '')
-      .split(',')
-      .map(m => m.trim())
-      .filter(Boolean);
-    const fallbackModels = ['gpt-4o-mini', 'gpt-4.1-mini', 'gpt-4o', 'gpt-4.1', 'gpt-5'];
-    const candidateModels = [...new Set([preferredModel, ...rawConfiguredModels, ...fallbackModels])];
+// Cohort over all stored sessions: ?from=&to= (YYYY-MM-DD), ?types=Condition,RiskFactor, ?min=<sessions>
+async function handleCohort(req, res){
+  try{
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const date = /^\d{4}-\d{2}-\d{2}$/;
+    const from = String(params.get('from') || '').trim();
+    const to = String(params.get('to') || '').trim();
+    if ((from && !date.test(from)) || (to && !date.test(to))) return send(res, 400, { error: 'from and to must be YYYY-MM-DD' });
+    const types = String(params.get('types') || '').split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = types.find(t => !NODE_TYPES.includes(t));
+    if (unknown) return send(res, 400, { error: `Unknown node type: ${unknown}` });
+    const reidentify = wantsReidentified(req);
+    const kgs = [];
+    for (const { id } of await listSessions(ROOT)) {
+      const kg = await getSession(ROOT, id);
+      if (kg) kgs.push(reidentify ? await reidentified(kg) : kg);
+    }
+    send(res, 200, aggregateCohort(kgs, { from, to, types, minFrequency: params.get('min'), limit: params.get('limit') }));
+  } catch (e) {
+    console.error('Cohort aggregation failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
+
+// Loads a stored session, or data/kg.json when no session is given
+async function loadKg(sessionId){
+  if (sessionId) return getSession(ROOT, sessionId);
+  try {
+    return JSON.parse(await fs.readFile(path.join(ROOT, 'data', 'kg.json'), 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function handleExportFhir(req, res){
+  try{
+    const sessionId = String(new URL(req.url, 'http://localhost').searchParams.get('session') || '').trim();
+    if (sessionId && !isValidSessionId(sessionId)) return send(res, 400, { error: 'Invalid session id' });
+    const kg = await loadKg(sessionId);
+    if (!kg) return send(res, 404, { error: sessionId ? 'Session not found' : 'data/kg.json not found' });
+    const bundle = kgToFhirBundle(kg, await sessionChart(kg), { patientId: kg.session?.patient_id });
+    const filename = `${sessionId || 'kg'}-fhir-bundle.json`;
+    send(res, 200, bundle, {
+      'content-type': 'application/fhir+json; charset=utf-8',
+      'content-disposition': `attachment; filename="${filename}"`
+    });
+  } catch (e) {
+    console.error('FHIR export failed:', e);
+    send(res, e.status || 500, { error: String(e.message || e) });
+  }
+}
+
+// Re-run the clinical checks, e.g. after the viewer switched patients or imported another chart.
+// Body: { kg } or { session }, plus optional { chart } / { patientId } as for /analyze
+async function handleValidate(req, res){
+  try{
+    let parsed;
+    try {
+      parsed = await readJsonBody(req);
+    } catch (e) {
+      return send(res, e.status || 400, { error: String(e.message || e) });
+    }
+    const sessionId = String(parsed.session || '').trim();
+    if (sessionId && !isValidSessionId(sessionId)) return send(res, 400, { error: 'Invalid session id' });
+    const kg = parsed.kg && typeof parsed.kg === 'object' ? parsed.kg : await loadKg(sessionId);
+    if (!kg) return send(res, 404, { error: sessionId ? 'Session not found' : 'data/kg.json not found' });
+    const chart = await resolveChart({ ...parsed, patientId: parsed.patientId || kg.session?.patient_id || '' });
+    send(res, 200, { ok: true, validations: validateKg(kg, chart) });
+  } catch (e) {
+    console.error('Validation failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
 
-    const client = new OpenAI({ apiKey });
-    const prompt = `Write a realistic 1–2 page outpatient PRIMARY CARE conversation transcript between a doctor and the patient Ava Nguyen.
+// GraphML / Turtle / CSV / Neo4j export of a session or data/kg.json (see graph-formats.mjs).
+// Single-file formats download directly; multi-file ones return { format, files: [{ name, media_type, content }] } unless ?file= names one
+// (e.g. file=nodes for <session>-nodes.csv). ?reidentify=1 exports a de-identified session with its real identifiers.
+async function handleExportGraph(req, res, format){
+  try{
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const sessionId = String(params.get('session') || '').trim();
+    if (sessionId && !isValidSessionId(sessionId)) return send(res, 400, { error: 'Invalid session id' });
+    const stored = await loadKg(sessionId);
+    if (!stored) return send(res, 404, { error: sessionId ? 'Session not found' : 'data/kg.json not found' });
+    const kg = wantsReidentified(req) ? await reidentified(stored) : stored;
+    const files = exportKg(kg, format, { name: sessionId || kg.session?.id || 'kg' });
+    const wanted = String(params.get('file') || '').trim();
+    const file = wanted
+      ? files.find(f => f.name === wanted || f.name.replace(/\.[^.]+$/, '').endsWith(`-${wanted}`))
+      : files.length === 1 ? files[0] : null;
+    if (wanted && !file) return send(res, 404, { error: `No ${wanted} file in ${format} export (have ${files.map(f => f.name).join(', ')})` });
+    if (!file) return send(res, 200, { format, files });
+    res.writeHead(200, { 'content-type': file.media_type, 'content-disposition': `attachment; filename="${file.name}"` });
+    res.end(file.content);
+  } catch (e) {
+    console.error('Graph export failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
+
+// GraphML ({ content }) or CSV ({ nodes, edges }) back to a KG; 422 with the schema errors when it does not validate
+async function handleImportGraph(req, res, format){
+  let parsed;
+  try {
+    parsed = await readJsonBody(req);
+  } catch (e) {
+    return send(res, e.status || 400, { error: String(e.message || e) });
+  }
+  const input = format === 'csv' ? { nodes: parsed.nodes, edges: parsed.edges } : parsed.content;
+  if (format === 'csv' ? typeof input.nodes !== 'string' || typeof input.edges !== 'string' : typeof input !== 'string') {
+    return send(res, 400, { error: format === 'csv' ? 'Body needs nodes and edges (CSV text)' : 'Body needs content (GraphML text)' });
+  }
+  try {
+    send(res, 200, { ok: true, kg: importKg(format, input) });
+  } catch (e) {
+    send(res, 422, { error: String(e.message || e), errors: e.errors || [] });
+  }
+}
+
+// Surrogate key of a session kept de-identified at rest (null when the KG holds real identifiers)
+function deidKeyDir(){
+  return process.env.DEID_KEY_DIR || path.join(ROOT, 'data', 'deid');
+}
+
+async function deidEntitiesFor(kg){
+  const keyId = kg?.deidentification?.at_rest ? kg.deidentification.key_id : null;
+  if (!keyId) return null;
+  const entities = await loadDeidKey(deidKeyDir(), keyId);
+  if (!entities) throw new Error(`De-identification key ${keyId} not found`);
+  return entities;
+}
+
+// Re-identified copy of a de-identified session for display; span offsets are recomputed for the real text
+async function reidentified(kg){
+  const entities = await deidEntitiesFor(kg);
+  if (!entities) return kg;
+  const copy = reidentifyKg(JSON.parse(JSON.stringify(kg)), entities);
+  if (typeof copy.source_text === 'string') checkSpans(copy, copy.source_text);
+  copy.deidentification = { ...copy.deidentification, reidentified: true };
+  return copy;
+}
+
+function wantsReidentified(req){
+  return /^(1|true)$/i.test(new URL(req.url, 'http://localhost').searchParams.get('reidentify') || '');
+}
+
+async function handleSession(req, res, method, id){
+  if (!isValidSessionId(id)) return send(res, 400, { error: 'Invalid session id' });
+  try{
+    if (method === 'DELETE') {
+      const removed = await deleteSession(ROOT, id);
+      return removed ? send(res, 200, { ok: true, session: id }) : send(res, 404, { error: 'Session not found' });
+    }
+    const kg = await getSession(ROOT, id);
+    if (!kg) return send(res, 404, { error: 'Session not found' });
+    send(res, 200, wantsReidentified(req) ? await reidentified(kg) : kg);
+  } catch (e) {
+    console.error('Session request failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
+
+// POST generates a SOAP note + after-visit summary for a stored session and saves it as `note`;
+// GET returns it: ?format=json (default) | markdown (SOAP) | avs (after-visit summary, Markdown) | fhir (Bundle)
+async function handleNote(req, res, method, id){
+  if (!isValidSessionId(id)) return send(res, 400, { error: 'Invalid session id' });
+  try{
+    const kg = await getSession(ROOT, id);
+    if (!kg) return send(res, 404, { error: 'Session not found' });
+    if (method === 'POST') {
+      const chart = await sessionChart(kg);
+      // A session kept de-identified at rest gets a de-identified note (same surrogates, key extended);
+      // otherwise PHI is replaced for the model call only, unless DEIDENTIFY=false
+      const entities = await deidEntitiesFor(kg);
+      const deid = Boolean(entities) || String(process.env.DEIDENTIFY || '').trim().toLowerCase() !== 'false';
+      let result;
+      try {
+        result = await generateNote(kg, { chart, provider: withCache(getProvider()), deidentify: deid, entities: entities || [], keepDeidentified: Boolean(entities) });
+      } catch (e) {
+        console.error('Note generation failed:', e);
+        return send(res, 502, { error: String(e.message || e) });
+      }
+      if (entities && result.entities.length > entities.length) await saveDeidKey(deidKeyDir(), result.entities, kg.deidentification.key_id);
+      kg.note = result.note;
+      await writeSession(ROOT, kg);
+    }
+    if (!kg.note) return send(res, 404, { error: 'No note generated for this session yet (POST to generate one)' });
+    const view = wantsReidentified(req) ? await reidentified(kg) : kg;
+    const format = String(new URL(req.url, 'http://localhost').searchParams.get('format') || 'json').toLowerCase();
+    if (format === 'markdown' || format === 'md' || format === 'avs') {
+      const kind = format === 'avs' ? 'avs' : 'soap';
+      return send(res, 200, noteToMarkdown(view.note, kind, { sessionId: id }), {
+        'content-type': 'text/markdown; charset=utf-8',
+        'content-disposition': `inline; filename="${id}-${kind}.md"`
+      });
+    }
+    if (format === 'fhir') {
+      return send(res, 200, noteToFhir(view.note, { sessionId: id, patientId: kg.session?.patient_id }), {
+        'content-type': 'application/fhir+json; charset=utf-8',
+        'content-disposition': `attachment; filename="${id}-note-bundle.json"`
+      });
+    }
+    send(res, 200, view.note);
+  } catch (e) {
+    console.error('Note request failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
+
+const SAMPLE_PROMPT = `Write a realistic 1–2 page outpatient PRIMARY CARE conversation transcript between a doctor and the patient Ava Nguyen.
 
 Constraints:
 - Use natural dialogue turns labeled "Doctor:" and "Patient:" plus brief bracketed stage directions like [Exam room] or [Dictation].
@@ -97,86 +464,91 @@ Constraints:
 
 Output: only the transcript text.`;
 
-    if (!candidateModels.length) {
-      return send(res, 500, { error: 'No candidate models available for sample generation.' });
+// Reviewer edits: body { reviewer, actions: [{ type, ... }] } (see review.mjs); returns the updated KG
+async function handleReview(req, res, id){
+  if (!isValidSessionId(id)) return send(res, 400, { error: 'Invalid session id' });
+  try{
+    let parsed;
+    try {
+      parsed = await readJsonBody(req);
+    } catch (e) {
+      return send(res, e.status || 400, { error: String(e.message || e) });
     }
+    const kg = await getSession(ROOT, id);
+    if (!kg) return send(res, 404, { error: 'Session not found' });
+    // Reviewer input is stored and rendered like model output
+    sanitizeKg(parsed);
+    // Reviewers see real identifiers; a KG kept de-identified at rest stores their surrogates
+    const entities = await deidEntitiesFor(kg);
+    if (entities) {
+      const chart = await sessionChart(kg);
+      const updated = deidentifyValue(parsed?.actions ?? parsed?.action, { entities, chart });
+      if (updated.length > entities.length) await saveDeidKey(deidKeyDir(), updated, kg.deidentification.key_id);
+    }
+    let reviewed;
+    try {
+      reviewed = applyReview(kg, parsed, { nodeTypes: NODE_TYPES, edgeTypes: EDGE_TYPES }).kg;
+    } catch (e) {
+      return send(res, 400, { error: String(e.message || e) });
+    }
+    // Keep derived annotations in step with the edited graph
+    if (reviewed.terminology) groundKg(reviewed, await loadTerminology());
+    if (typeof reviewed.source_text === 'string') checkSpans(reviewed, reviewed.source_text);
+    const chart = await sessionChart(reviewed);
+    if (chart && chart.patient?.id === reviewed.validations?.patient_id) reviewed.validations = validateKg(reviewed, chart);
+    else delete reviewed.validations;
+    if (reviewed.assumptions) reviewed.assumptions = detectAssumptions(reviewed, await loadAssumptionRules());
+    await writeSession(ROOT, reviewed);
+    send(res, 200, wantsReidentified(req) ? await reidentified(reviewed) : reviewed);
+  } catch (e) {
+    console.error('Review failed:', e);
+    send(res, 500, { error: String(e.message || e) });
+  }
+}
 
-    async function extractTextFromResponses(resp){
-      if (!resp) return '';
-      if (typeof resp.output_text === 'string' && resp.output_text.trim()) return resp.output_text.trim();
-      try {
-        const aggregates = [];
-        const outputItems = Array.isArray(resp?.output) ? resp.output : (Array.isArray(resp?.outputs) ? resp.outputs : []);
-        for (const item of outputItems) {
-          const content = Array.isArray(item?.content) ? item.content : [];
-          for (const seg of content) {
-            if (typeof seg?.text === 'string' && seg.text.trim()) aggregates.push(seg.text);
-            else if (typeof seg?.content === 'string' && seg.content.trim()) aggregates.push(seg.content);
-          }
-        }
-        if (!aggregates.length && Array.isArray(resp?.choices) && resp.choices[0]?.message?.content) {
-          aggregates.push(String(resp.choices[0].message.content));
-        }
-        return aggregates.join('\n').trim();
-      } catch { return ''; }
-    }
-
-    async function tryResponses(model){
-      let params = { model, input: prompt, temperature, max_output_tokens: maxOutputTokens };
-      for (let i = 0; i < 3; i++) {
-        try { return await client.responses.create(params); }
-        catch (e) {
-          const msg = String(e?.message || '');
-          const bad = e?.error?.param || '';
-          if (bad === 'temperature' || /temperature/i.test(msg)) { delete params.temperature; continue; }
-          if (bad === 'max_output_tokens' || /max[_ ]?output[_ ]?tokens/i.test(msg)) { delete params.max_output_tokens; continue; }
-          // If the model doesn't support Responses or is unknown, bubble up
-          throw e;
-        }
-      }
-      return null;
+async function handleGenerateSample(req, res){
+  try{
+    let provider;
+    try {
+      provider = withCache(getProvider());
+    } catch (e) {
+      return send(res, 500, { error: String(e.message || e) });
+    }
+    if (provider.name === 'openai' && provider.mode !== 'replay' && !process.env.OPENAI_API_KEY) {
+      return send(res, 500, { error: 'Missing OpenAI API key. Set OPENAI_API_KEY to enable sample generation.' });
     }
 
-    async function tryChatCompletions(model){
-      try {
-        const cc = await client.chat.completions.create({
-          model,
-          temperature,
-          max_tokens: maxOutputTokens,
-          messages: [
-            { role: 'system', content: 'You are a clinical scribe generating realistic primary care transcripts.' },
-            { role: 'user', content: prompt }
-          ]
-        });
-        const txt = (cc?.choices?.[0]?.message?.content || '').trim();
-        return txt ? { output_text: txt } : null;
-      } catch (e) {
-        return null;
-      }
+    const preferredModel = (process.env.SAMPLE_MODEL || 'gpt-4o-mini').trim();
+    const temperature = Number.isFinite(Number(process.env.SAMPLE_TEMPERATURE)) ? Number(process.env.SAMPLE_TEMPERATURE) : 0.8;
+    const maxOutputTokens = Number.isFinite(Number(process.env.SAMPLE_TOKENS)) ? Number(process.env.SAMPLE_TOKENS) : 700;
+    const rawConfiguredModels = String(process.env.SAMPLE_MODELS || '')
+      .split(',')
+      .map(m => m.trim())
+      .filter(Boolean);
+    // Hosted fallbacks only make sense for OpenAI itself; local endpoints serve whatever SAMPLE_MODEL(S) name
+    const fallbackModels = provider.name === 'openai' ? ['gpt-4o-mini', 'gpt-4.1-mini', 'gpt-4o', 'gpt-4.1', 'gpt-5'] : [];
+    const candidateModels = [...new Set([preferredModel, ...rawConfiguredModels, ...fallbackModels])];
+
+    if (!candidateModels.length) {
+      return send(res, 500, { error: 'No candidate models available for sample generation.' });
     }
 
     let lastError = null;
     for (const model of candidateModels) {
       try {
-        // First try Responses API
-        let resp = await tryResponses(model);
-        if (!resp) throw new Error('No response object');
-        let text = await extractTextFromResponses(resp);
-        if (text) return send(res, 200, { text, modelUsed: model, api: 'responses' });
-        // If empty, fall back to chat
-        const ccResp = await tryChatCompletions(model);
-        if (ccResp) {
-          const text2 = await extractTextFromResponses(ccResp);
-          if (text2) return send(res, 200, { text: text2, modelUsed: model, api: 'chat' });
-        }
+        const resp = await provider.generate({
+          purpose: 'sample',
+          model,
+          system: 'You are a clinical scribe generating realistic primary care transcripts.',
+          input: SAMPLE_PROMPT,
+          temperature,
+          max_output_tokens: maxOutputTokens
+        });
+        const text = (resp?.text || '').trim();
+        if (text) return send(res, 200, { text, modelUsed: resp.model || model, api: resp.api, cache: resp.cache });
+        lastError = new Error(`Empty output from ${model}`);
       } catch (e) {
         lastError = e;
-        // Try chat completions as fallback if Responses failed hard (e.g., unsupported model)
-        const ccResp = await tryChatCompletions(model);
-        if (ccResp) {
-          const text = await extractTextFromResponses(ccResp);
-          if (text) return send(res, 200, { text, modelUsed: model, api: 'chat' });
-        }
       }
     }
 
@@ -188,33 +560,179 @@ Output: only the transcript text.`;
   }
 }
 
-const server = http.createServer(async (req, res) => {
+// POST { api_key } signs in the viewer with a session cookie, DELETE signs out, GET reports the state
+async function handleAuthSession(req, res, method){
+  if (method === 'GET') {
+    return send(res, 200, { auth_required: security.authEnabled, authenticated: security.authenticate(req).ok });
+  }
+  if (method === 'DELETE') {
+    return send(res, 200, { ok: true }, { 'set-cookie': security.sessionCookie('') });
+  }
+  let parsed;
+  try {
+    parsed = await readJsonBody(req);
+  } catch (e) {
+    return send(res, e.status || 400, { error: String(e.message || e) });
+  }
+  if (!security.authEnabled) return send(res, 200, { ok: true, auth_required: false });
+  const session = security.issueSession(parsed.api_key);
+  if (!session) return send(res, 401, { error: 'Invalid API key' });
+  send(res, 200, { ok: true, expires_at: session.expires_at }, { 'set-cookie': security.sessionCookie(session.token, Boolean(req.socket?.encrypted)) });
+}
+
+// Rate limit and concurrency caps for routes that call the model; the slot is held until the response closes
+function withLimits(req, res, client, handler){
+  let release;
+  try {
+    release = security.acquire(client);
+  } catch (e) {
+    return send(res, e.status || 429, { error: String(e.message || e) }, e.headers);
+  }
+  res.on('close', release);
+  return handler(req, res);
+}
+
+async function route(req, res){
   const method = (req.method || 'GET').toUpperCase();
   const url = req.url || '/';
   const { pathname } = new URL(url, 'http://localhost');
 
+  if (!security.originAllowed(req)) {
+    return send(res, 403, { error: 'Origin not allowed' });
+  }
+  for (const [name, value] of Object.entries(security.corsHeaders(req))) res.setHeader(name, value);
+
   if (method === 'OPTIONS') {
     res.writeHead(204, {
-      'access-control-allow-origin': '*',
-      'access-control-allow-methods': 'GET,POST,OPTIONS',
-      'access-control-allow-headers': 'content-type'
+      'access-control-allow-methods': 'GET,POST,DELETE,OPTIONS',
+      'access-control-allow-headers': 'content-type, authorization, x-api-key'
     });
     res.end();
     return;
   }
 
+  if (pathname === '/auth/session') {
+    if (method !== 'GET' && method !== 'POST' && method !== 'DELETE') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,POST,DELETE,OPTIONS' });
+    }
+    return handleAuthSession(req, res, method);
+  }
+
+  const auth = security.authenticate(req);
+  if (!auth.ok && !((method === 'GET' || method === 'HEAD') && PUBLIC_STATIC.test(pathname))) {
+    return send(res, 401, { error: 'Authentication required' }, { 'www-authenticate': 'Bearer' });
+  }
+
+  // Bodies are read once here: size limit (413) and JSON content type (415) for every route
+  if (method === 'POST') {
+    try {
+      req.body = await security.readBody(req);
+    } catch (e) {
+      return send(res, e.status || 400, { error: String(e.message || e) });
+    }
+  }
+
   if (pathname === '/analyze') {
     if (method !== 'POST') {
       return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'POST,OPTIONS' });
     }
-    return handleAnalyze(req, res);
+    return withLimits(req, res, auth.client, handleAnalyze);
+  }
+
+  if (pathname === '/analyze/stream') {
+    if (method !== 'POST') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'POST,OPTIONS' });
+    }
+    return withLimits(req, res, auth.client, handleAnalyzeStream);
   }
 
   if (pathname === '/generate-sample') {
     if (method !== 'POST') {
       return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'POST,OPTIONS' });
     }
-    return handleGenerateSample(req, res);
+    return withLimits(req, res, auth.client, handleGenerateSample);
+  }
+
+  if (pathname === '/validate') {
+    if (method !== 'POST') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'POST,OPTIONS' });
+    }
+    return handleValidate(req, res);
+  }
+
+  if (pathname === '/export/fhir') {
+    if (method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,OPTIONS' });
+    }
+    return handleExportFhir(req, res);
+  }
+
+  const exportMatch = pathname.match(/^\/export\/([a-z0-9]+)$/);
+  if (exportMatch && EXPORT_FORMATS.includes(exportMatch[1])) {
+    if (method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,OPTIONS' });
+    }
+    return handleExportGraph(req, res, exportMatch[1]);
+  }
+
+  const importMatch = pathname.match(/^\/import\/([a-z0-9]+)$/);
+  if (importMatch && IMPORT_FORMATS.includes(importMatch[1])) {
+    if (method !== 'POST') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'POST,OPTIONS' });
+    }
+    return handleImportGraph(req, res, importMatch[1]);
+  }
+
+  if (pathname === '/sessions') {
+    if (method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,OPTIONS' });
+    }
+    return handleListSessions(req, res);
+  }
+
+  if (pathname === '/sessions/diff') {
+    if (method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,OPTIONS' });
+    }
+    return handleDiffSessions(req, res);
+  }
+
+  if (pathname === '/cohort') {
+    if (method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,OPTIONS' });
+    }
+    return handleCohort(req, res);
+  }
+
+  const noteMatch = pathname.match(/^\/sessions\/([^/]+)\/note$/);
+  if (noteMatch) {
+    if (method !== 'GET' && method !== 'POST') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,POST,OPTIONS' });
+    }
+    const id = decodeSessionId(res, noteMatch[1]);
+    if (id === null) return;
+    if (method === 'POST') return withLimits(req, res, auth.client, () => handleNote(req, res, method, id));
+    return handleNote(req, res, method, id);
+  }
+
+  const reviewMatch = pathname.match(/^\/sessions\/([^/]+)\/review$/);
+  if (reviewMatch) {
+    if (method !== 'POST') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'POST,OPTIONS' });
+    }
+    const id = decodeSessionId(res, reviewMatch[1]);
+    if (id === null) return;
+    return handleReview(req, res, id);
+  }
+
+  const sessionMatch = pathname.match(/^\/sessions\/([^/]+)$/);
+  if (sessionMatch) {
+    if (method !== 'GET' && method !== 'DELETE') {
+      return send(res, 405, { error: 'Method not allowed' }, { 'access-control-allow-methods': 'GET,DELETE,OPTIONS' });
+    }
+    const id = decodeSessionId(res, sessionMatch[1]);
+    if (id === null) return;
+    return handleSession(req, res, method, id);
   }
 
   if (method !== 'GET' && method !== 'HEAD') {
@@ -222,11 +740,24 @@ const server = http.createServer(async (req, res) => {
   }
 
   return serveStatic(req, res);
+}
+
+// A handler that throws answers 400 (malformed input) or 500 instead of taking the process down
+const server = http.createServer(async (req, res) => {
+  try {
+    await route(req, res);
+  } catch (e) {
+    console.error('Request failed:', e);
+    if (res.headersSent) return res.end();
+    const status = e?.status || (e instanceof URIError || e instanceof SyntaxError ? 400 : 500);
+    send(res, status, { error: String(e?.message || e) });
+  }
 });
 
 const PORT = Number(process.env.PORT || 8080);
 server.listen(PORT, () => {
   console.log(`Server running on http://127.0.0.1:${PORT}`);
+  if (!security.authEnabled) console.log('Authentication is off: set API_KEYS to require an API key');
 });
 
 
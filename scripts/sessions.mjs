@@ -0,0 +1,142 @@
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+// Each analyzed Session Record is kept as data/sessions/<Session Record ID>.json (SESSIONS_DIR overrides the folder);
+// a later run of the same record gets <Session Record ID>-2.json, -3, … so earlier runs and their reviews are kept
+const SESSIONS_SUBDIR = path.join('data', 'sessions');
+const SAFE_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+export function sessionsDir(baseDir = process.cwd()){
+  if (process.env.SESSIONS_DIR) return path.resolve(process.env.SESSIONS_DIR);
+  return path.join(baseDir, SESSIONS_SUBDIR);
+}
+
+export function isValidSessionId(id){
+  return typeof id === 'string' && SAFE_ID.test(id) && !id.includes('..');
+}
+
+// Pull "Session Record ID:" and "Session Date:" out of the record header, if present
+export function parseSessionHeader(text){
+  const src = typeof text === 'string' ? text : '';
+  const idMatch = src.match(/^\s*Session Record ID:\s*(\S+)/im);
+  const dateMatch = src.match(/^\s*Session Date:\s*(\d{4}-\d{2}-\d{2})/im);
+  return {
+    recordId: idMatch ? idMatch[1].trim() : '',
+    date: dateMatch ? dateMatch[1] : ''
+  };
+}
+
+function generatedSessionId(now = new Date()){
+  const iso = now.toISOString();
+  return `SR-${iso.slice(0, 10)}-${iso.slice(11, 19).replace(/:/g, '')}`;
+}
+
+export function resolveSessionId(text, now = new Date()){
+  const { recordId } = parseSessionHeader(text);
+  const cleaned = recordId.replace(/[^A-Za-z0-9._-]/g, '-').replace(/^[^A-Za-z0-9]+/, '');
+  return isValidSessionId(cleaned) ? cleaned : generatedSessionId(now);
+}
+
+function sessionPath(baseDir, id){
+  if (!isValidSessionId(id)) throw new Error(`Invalid session id: ${id}`);
+  return path.join(sessionsDir(baseDir), `${id}.json`);
+}
+
+// A KG kept de-identified at rest (kg.deidentification.at_rest) gets an opaque id and the analysis date instead of
+// the record's own ID and date, which are identifiers. Never overwrites: when the id is taken (an earlier run of
+// the same record), the run is stored as <id>-2, <id>-3, …
+export async function saveSession(baseDir, text, kg, meta = {}){
+  const now = new Date();
+  const deidentified = Boolean(kg?.deidentification?.at_rest);
+  const { date } = deidentified ? { date: '' } : parseSessionHeader(text);
+  const fallbackId = deidentified ? `SR-${crypto.randomUUID()}` : resolveSessionId(text, now);
+  const baseId = meta.id && isValidSessionId(meta.id) ? meta.id : fallbackId;
+  await fs.mkdir(sessionsDir(baseDir), { recursive: true });
+  for (let run = 1; ; run++) {
+    const id = run === 1 ? baseId : `${baseId.slice(0, 120)}-${run}`;
+    const record = {
+      ...kg,
+      session: {
+        ...(kg && typeof kg.session === 'object' ? kg.session : {}),
+        ...meta,
+        id,
+        date: meta.date || date || now.toISOString().slice(0, 10),
+        created_at: now.toISOString()
+      }
+    };
+    const outPath = sessionPath(baseDir, id);
+    try {
+      // 'wx' fails when the file exists, so two runs finishing at once cannot take the same id
+      await fs.writeFile(outPath, JSON.stringify(record, null, 2), { flag: 'wx' });
+    } catch (e) {
+      if (e?.code === 'EEXIST') continue;
+      throw e;
+    }
+    console.log('Wrote', outPath);
+    return record;
+  }
+}
+
+// Overwrite a stored session in place (e.g. after review edits); keeps its id and created_at
+export async function writeSession(baseDir, record){
+  const id = record?.session?.id;
+  const outPath = sessionPath(baseDir, id);
+  await fs.writeFile(outPath, JSON.stringify(record, null, 2));
+  return record;
+}
+
+export async function getSession(baseDir, id){
+  try {
+    const raw = await fs.readFile(sessionPath(baseDir, id), 'utf8');
+    return JSON.parse(raw);
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+export async function deleteSession(baseDir, id){
+  try {
+    await fs.unlink(sessionPath(baseDir, id));
+    return true;
+  } catch (e) {
+    if (e?.code === 'ENOENT') return false;
+    throw e;
+  }
+}
+
+export async function listSessions(baseDir){
+  let files = [];
+  try {
+    files = await fs.readdir(sessionsDir(baseDir));
+  } catch (e) {
+    if (e?.code === 'ENOENT') return [];
+    throw e;
+  }
+  const sessions = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    const id = file.slice(0, -'.json'.length);
+    if (!isValidSessionId(id)) continue;
+    try {
+      const kg = await getSession(baseDir, id);
+      if (!kg) continue;
+      sessions.push({
+        id,
+        date: kg.session?.date || '',
+        created_at: kg.session?.created_at || '',
+        model: kg.session?.model || '',
+        patient_id: kg.session?.patient_id || '',
+        nodes: Array.isArray(kg.nodes) ? kg.nodes.length : 0,
+        edges: Array.isArray(kg.edges) ? kg.edges.length : 0,
+        summary: typeof kg.summary === 'string' ? kg.summary : '',
+        reviewed_at: kg.review?.updated_at || ''
+      });
+    } catch (e) {
+      console.warn(`Skipping unreadable session ${file}:`, e.message || e);
+    }
+  }
+  sessions.sort((a, b) => (b.date || '').localeCompare(a.date || '') || (b.created_at || '').localeCompare(a.created_at || ''));
+  return sessions;
+}
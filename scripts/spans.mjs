@@ -0,0 +1,165 @@
+import { attributeTurns } from './transcript.mjs';
+
+// Checks that source_span and projection quotes really occur in the transcript and records where.
+// Each checked string gets { start, end, score, status, method }: offsets into the original text,
+// a 0–1 score, and status grounded | partial | hallucinated.
+
+const GROUNDED_MIN = 0.9;
+const PARTIAL_MIN = 0.6;
+
+const SPEAKER_PREFIX = /^\s*[A-Z][A-Za-z .'-]{0,30}:\s*/;
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'was', 'are', 'has', 'had', 'have', 'that', 'this', 'but', 'not', 'you', 'she', 'her', 'his', 'him', 'its', 'our', 'any', 'from', 'will', 'been']);
+
+// Lowercased letters/digits with every other run of characters collapsed to one space; map[i] = offset in the source
+function normalizeWithMap(text){
+  let out = '';
+  const map = [];
+  let pendingSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i].toLowerCase();
+    if (/[\p{L}\p{N}]/u.test(ch)) {
+      if (pendingSpace && out) {
+        out += ' ';
+        map.push(i);
+      }
+      pendingSpace = false;
+      out += ch;
+      map.push(i);
+    } else {
+      pendingSpace = true;
+    }
+  }
+  return { text: out, map };
+}
+
+function normalizeQuote(quote){
+  return normalizeWithMap(quote).text;
+}
+
+function tokenize(text){
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(text))) tokens.push({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  return tokens;
+}
+
+function isContent(word){
+  return word.length > 2 && !STOPWORDS.has(word);
+}
+
+function findNormalized(source, needle, from = 0){
+  if (!needle) return null;
+  const idx = source.text.indexOf(needle, from);
+  if (idx < 0) return null;
+  return { start: source.map[idx], end: source.map[idx + needle.length - 1] + 1, next: idx + needle.length };
+}
+
+// Paraphrased quotes: best window of transcript tokens by share of the quote's content words it contains
+function fuzzyLocate(tokens, quote){
+  const qWords = tokenize(quote).map(t => t.word);
+  const qContent = qWords.filter(isContent);
+  if (!qContent.length || !tokens.length) return null;
+  const width = Math.max(qWords.length + Math.ceil(qWords.length / 4), 3);
+  let best = null;
+  for (let i = 0; i < tokens.length; i++) {
+    if (!qContent.includes(tokens[i].word)) continue;
+    const remaining = new Map();
+    for (const w of qContent) remaining.set(w, (remaining.get(w) || 0) + 1);
+    let matched = 0;
+    let last = i;
+    for (let j = i; j < Math.min(tokens.length, i + width); j++) {
+      const left = remaining.get(tokens[j].word);
+      if (left) {
+        remaining.set(tokens[j].word, left - 1);
+        matched++;
+        last = j;
+      }
+    }
+    const score = matched / qContent.length;
+    if (!best || score > best.score) best = { start: tokens[i].start, end: tokens[last].end, score };
+  }
+  return best;
+}
+
+function statusFor(score){
+  if (score >= GROUNDED_MIN) return 'grounded';
+  if (score >= PARTIAL_MIN) return 'partial';
+  return 'hallucinated';
+}
+
+// Locate one quote in the transcript: exact > normalized (case, punctuation, whitespace) > "..." fragments > fuzzy
+export function locateQuote(text, quote, prepared){
+  const q = typeof quote === 'string' ? quote.trim().replace(/^["'“”]+|["'“”]+$/g, '') : '';
+  if (!q) return null;
+  const source = prepared?.source || normalizeWithMap(text);
+  const tokens = prepared?.tokens || tokenize(text);
+
+  // Models often prefix a mid-turn sentence with its speaker ("Doctor: I'll refill..."), so also try without it
+  const body = q.replace(SPEAKER_PREFIX, '');
+  const candidates = body && body !== q ? [q, body] : [q];
+  for (const [i, candidate] of candidates.entries()) {
+    const penalty = i ? 0.02 : 0;
+    const exact = text.indexOf(candidate);
+    if (exact >= 0) return { start: exact, end: exact + candidate.length, score: 1 - penalty, status: 'grounded', method: 'exact' };
+
+    const normalized = findNormalized(source, normalizeQuote(candidate));
+    if (normalized) return { start: normalized.start, end: normalized.end, score: 0.98 - penalty, status: 'grounded', method: 'normalized' };
+
+    const fragments = candidate.split(/\.{3,}|…/).map(normalizeQuote).filter(f => f.length >= 3);
+    if (fragments.length > 1) {
+      let from = 0;
+      const found = [];
+      for (const fragment of fragments) {
+        const hit = findNormalized(source, fragment, from);
+        if (!hit) break;
+        found.push(hit);
+        from = hit.next;
+      }
+      if (found.length === fragments.length) {
+        return { start: found[0].start, end: found[found.length - 1].end, score: 0.95 - penalty, status: 'grounded', method: 'ellipsis' };
+      }
+    }
+  }
+
+  const fuzzy = fuzzyLocate(tokens, body || q);
+  const score = fuzzy ? Math.round(fuzzy.score * 100) / 100 : 0;
+  const status = statusFor(score);
+  if (!fuzzy || status === 'hallucinated') return { start: null, end: null, score, status: 'hallucinated', method: 'none' };
+  return { start: fuzzy.start, end: fuzzy.end, score, status, method: 'fuzzy' };
+}
+
+// Adds node.source_match, doctor_quote_match / patient_quote_match on risk projection entries,
+// and a kg.span_check summary listing every hallucinated reference; a KG with a `transcript` also gets
+// turn and speaker references from the located spans. Returns the KG.
+export function checkSpans(kg, text){
+  const source = String(text ?? '');
+  const prepared = { source: normalizeWithMap(source), tokens: tokenize(source) };
+  const summary = { checked: 0, grounded: 0, partial: 0, hallucinated: [] };
+  const record = (ref, quote, match) => {
+    summary.checked++;
+    if (match.status === 'hallucinated') summary.hallucinated.push({ ref, text: quote });
+    else summary[match.status]++;
+  };
+
+  for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+    if (!node || typeof node.source_span !== 'string' || !node.source_span.trim()) continue;
+    const match = locateQuote(source, node.source_span, prepared);
+    if (!match) continue;
+    node.source_match = match;
+    record(`node:${node.id}`, node.source_span, match);
+  }
+  for (const rf of Array.isArray(kg?.risk_projection?.risk_factors) ? kg.risk_projection.risk_factors : []) {
+    for (const field of ['doctor_quote', 'patient_quote']) {
+      if (typeof rf?.[field] !== 'string' || !rf[field].trim()) continue;
+      const match = locateQuote(source, rf[field], prepared);
+      if (!match) continue;
+      rf[`${field}_match`] = match;
+      record(`risk:${rf.id}:${field}`, rf[field], match);
+    }
+  }
+  kg.span_check = summary;
+  if (kg.transcript && source === kg.source_text) attributeTurns(kg);
+  return kg;
+}
@@ -0,0 +1,173 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeLabel } from './diff.mjs';
+
+// Grounds KG nodes to SNOMED CT / RxNorm codes from a local terminology table (no terminology server).
+// Table file: { name, version, concepts: [{ system, code, display, types: [nodeType], synonyms: [] }] }
+
+const DEFAULT_TABLE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'terminology.json');
+
+export const GROUNDED_NODE_TYPES = ['Condition', 'Medication', 'Procedure', 'Finding'];
+
+// Words that qualify a concept without changing it; ignored when measuring fuzzy coverage
+const QUALIFIERS = new Set([
+  'mild', 'moderate', 'severe', 'acute', 'chronic', 'recurrent', 'intermittent', 'persistent', 'possible', 'suspected',
+  'left', 'right', 'bilateral', 'expiratory', 'inspiratory', 'new', 'ongoing',
+  'mg', 'mcg', 'g', 'ml', 'tablet', 'tablets', 'tab', 'capsule', 'capsules', 'inhaler', 'hfa', 'oral', 'po', 'iv', 'im',
+  'daily', 'bid', 'tid', 'qid', 'prn', 'dose', 'course', 'of', 'the', 'a', 'an', 'and', 'with',
+  // "Asthma without complication": a coding qualifier, not a negation (negation cues lead the label)
+  'without', 'complication', 'uncomplicated'
+]);
+
+const FUZZY_MIN = 0.75;
+
+// Cues that put a label in a context other than a present finding ("No fever", "Family history of asthma").
+// Checked in order on the normalized label. Negation counts only at the start ("No fever", "Patient denies cough")
+// or as a closing "ruled out"/"absent", so "Asthma without complication" stays a coded concept.
+const CONTEXT_CUES = [
+  { context: 'family_history', pattern: /^(family history of|family hx of|fhx of|fh of|family history)\b/ },
+  { context: 'history', pattern: /^(past medical history of|past history of|history of|hx of|h o)\b/ },
+  { context: 'risk', pattern: /^(at risk of|at risk for|increased risk of|high risk of|risk of|risk for|potential for)\b/ },
+  { context: 'negated', pattern: /^(?:patient |pt )?(no evidence of|no signs of|negative for|absence of|rule out|r o|denies|denied|without|free of|no|not)\b/ },
+  { context: 'negated', pattern: /\b(ruled out|absent)$/ }
+];
+
+// The context cue of a label, or null for a plain finding: { context, cue, core } where core is the label without the cue
+export function labelContext(label){
+  const norm = normalizeLabel(label);
+  for (const { context, pattern } of CONTEXT_CUES) {
+    const m = norm.match(pattern);
+    if (m) return { context, cue: m[1], core: `${norm.slice(0, m.index)} ${norm.slice(m.index + m[0].length)}`.replace(/\s+/g, ' ').trim() };
+  }
+  return null;
+}
+
+const tableCache = new Map();
+
+// Load a table from a path (default data/terminology.json or TERMINOLOGY_FILE); cached per path
+export async function loadTerminology(file){
+  const resolved = path.resolve(file || process.env.TERMINOLOGY_FILE || DEFAULT_TABLE);
+  if (!tableCache.has(resolved)) {
+    const raw = JSON.parse(await fs.readFile(resolved, 'utf8'));
+    if (!Array.isArray(raw?.concepts)) throw new Error(`Terminology table ${resolved} has no concepts array`);
+    tableCache.set(resolved, { name: raw.name || path.basename(resolved), version: raw.version || '', concepts: raw.concepts });
+  }
+  return tableCache.get(resolved);
+}
+
+// Singularized tokens without qualifiers or bare numbers ("Mild expiratory wheezes" -> ["wheeze"])
+function contentTokens(text){
+  return normalizeLabel(text).split(' ')
+    .filter(t => t && !QUALIFIERS.has(t) && !/^\d+$/.test(t))
+    .map(t => t.length > 4 && /[^s]s$/.test(t) ? t.slice(0, -1) : t);
+}
+
+function bigrams(text){
+  const s = ` ${text} `;
+  const out = [];
+  for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+  return out;
+}
+
+// Dice coefficient on character bigrams, for misspellings ("albuteral")
+function similarity(a, b){
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const x = bigrams(a);
+  const y = bigrams(b);
+  const counts = new Map();
+  for (const g of y) counts.set(g, (counts.get(g) || 0) + 1);
+  let overlap = 0;
+  for (const g of x) {
+    const n = counts.get(g);
+    if (n) {
+      overlap++;
+      counts.set(g, n - 1);
+    }
+  }
+  return (2 * overlap) / (x.length + y.length);
+}
+
+function termsOf(concept){
+  return [
+    { term: concept.display, level: 'exact' },
+    ...(Array.isArray(concept.synonyms) ? concept.synonyms : []).map(term => ({ term, level: 'synonym' }))
+  ].filter(t => normalizeLabel(t.term));
+}
+
+// Best match for one label: exact (display) > synonym > fuzzy (term contained in the label, or near-identical spelling)
+export function matchConcept(label, type, table){
+  const norm = normalizeLabel(label);
+  if (!norm) return null;
+  const labelTokens = contentTokens(label);
+  const labelCore = labelTokens.join(' ');
+  let best = null;
+  const consider = (concept, match, score, term) => {
+    if (!best || score > best.score) best = { concept, match, score: Math.round(score * 100) / 100, term };
+  };
+
+  for (const concept of table.concepts) {
+    if (Array.isArray(concept.types) && concept.types.length && !concept.types.includes(type)) continue;
+    for (const { term, level } of termsOf(concept)) {
+      const t = normalizeLabel(term);
+      if (t === norm) {
+        consider(concept, level, level === 'exact' ? 1 : 0.95, term);
+        continue;
+      }
+      const termTokens = contentTokens(term);
+      if (!termTokens.length || !labelTokens.length) continue;
+      const termCore = termTokens.join(' ');
+      if (termCore === labelCore) {
+        consider(concept, 'fuzzy', 0.9, term);
+      } else if (` ${labelCore} `.includes(` ${termCore} `)) {
+        // Term appears whole inside the label: score by how much of the label it explains
+        consider(concept, 'fuzzy', 0.7 + 0.2 * (termTokens.length / labelTokens.length), term);
+      } else {
+        const sim = similarity(labelCore, termCore);
+        if (sim >= 0.8) consider(concept, 'fuzzy', sim * 0.95, term);
+      }
+    }
+  }
+  return best && (best.match !== 'fuzzy' || best.score >= FUZZY_MIN) ? best : null;
+}
+
+// Adds `codes` and `grounding` to every node of a grounded type and `terminology` to the KG; returns the KG.
+// Nodes without a match get grounding { match: 'none' } and are listed in kg.terminology.unmatched.
+// Negated, historical and risk labels are not coded: they get grounding { match: 'qualified', context, cue, candidate }
+// and are listed in kg.terminology.qualified, so "No fever" never becomes a Fever code.
+export function groundKg(kg, table, opts = {}){
+  const types = Array.isArray(opts.types) ? opts.types : GROUNDED_NODE_TYPES;
+  const unmatched = [];
+  const qualified = [];
+  let grounded = 0;
+  for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+    if (!node || !types.includes(node.type)) continue;
+    const context = labelContext(node.label);
+    const hit = matchConcept(context ? context.core : node.label, node.type, table);
+    if (!hit) {
+      node.grounding = context ? { match: 'none', context: context.context, cue: context.cue } : { match: 'none' };
+      unmatched.push(node.id);
+      continue;
+    }
+    const { system, code, display } = hit.concept;
+    const sameCode = c => c && c.system === system && String(c.code) === String(code);
+    if (context) {
+      // The concept is named but not present in the patient; a code for it would read as a positive finding
+      if (Array.isArray(node.codes)) {
+        node.codes = node.codes.filter(c => !sameCode(c));
+        if (!node.codes.length) delete node.codes;
+      }
+      node.grounding = { match: 'qualified', context: context.context, cue: context.cue, score: hit.score, term: hit.term, candidate: { system, code: String(code), display } };
+      qualified.push(node.id);
+      continue;
+    }
+    // Codes the model or a reviewer already attached stay first
+    const existing = Array.isArray(node.codes) ? node.codes.filter(c => !sameCode(c)) : [];
+    node.codes = [...existing, { system, code: String(code), display }];
+    node.grounding = { match: hit.match, score: hit.score, term: hit.term };
+    grounded++;
+  }
+  kg.terminology = { table: table.name, version: table.version, grounded, unmatched, qualified };
+  return kg;
+}
@@ -0,0 +1,271 @@
+import { sanitizeText } from './sanitize.mjs';
+import { parseSessionHeader } from './sessions.mjs';
+
+// Transcript ingestion: plain text, WebVTT and SRT become one typed session
+//   { format, header: { record_id, date }, turns: [{ index, speaker, role, start, end, start_time?, end_time? }], text }
+// `text` is the plain-text form every later stage works on ("Speaker: ..." lines under the record header);
+// turn `start`/`end` are offsets into it, `index` is 1-based and times are in seconds (caption formats only).
+
+export const TRANSCRIPT_FORMATS = ['text', 'webvtt', 'srt'];
+
+const HEADER_FIELD = /^\s*([A-Z][A-Za-z ]{1,40}?)\s*:\s*(\S.*)$/;
+const HEADER_KEY = /\b(ID|Date|Name|MRN|DOB|Birth|Time|Record|Visit|Encounter|Location|Clinic|Age|Sex|Gender)\b/i;
+// "Doctor:", "Dr. Lee:", "Patient:", "Ava Nguyen:", "Speaker 2:" — up to four words, each capitalized (or a number)
+const SPEAKER_LINE = /^\s*((?:Dr\.|[A-Z][\w'-]*)(?:\s+(?:[A-Z][\w.'-]*|\d+)){0,3})\s*:\s*/;
+// Headings that look like a speaker label but open a note section
+const SECTION_WORDS = new Set(['assessment', 'plan', 'subjective', 'objective', 'hpi', 'history', 'medications', 'allergies', 'vitals', 'exam', 'impression', 'summary', 'note', 'notes', 'diagnosis', 'orders', 'follow up', 'follow-up']);
+const SECTION_LINE = /^\s*(\[[^\]]+\]|#{1,6}\s|[A-Z][A-Za-z /&-]{2,40}:\s*$)/;
+const TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+const ROLES = [
+  [/^(doctor|dr\b|physician|clinician|provider|nurse|np\b|pa\b|md\b|resident|attending|therapist)/i, 'clinician'],
+  [/^(patient|pt\b)/i, 'patient'],
+  [/^(caregiver|parent|mother|father|mom|dad|spouse|wife|husband|daughter|son|guardian|family)/i, 'caregiver'],
+  [/^interpreter/i, 'interpreter']
+];
+
+// clinician | patient | caregiver | interpreter | other (a named speaker whose role the label does not say)
+export function speakerRole(speaker){
+  if (!speaker) return null;
+  const found = ROLES.find(([re]) => re.test(String(speaker).trim()));
+  return found ? found[1] : 'other';
+}
+
+function labelOf(line){
+  const m = line.match(SPEAKER_LINE);
+  if (!m || SECTION_WORDS.has(m[1].toLowerCase()) || /^session\b/i.test(m[1])) return null;
+  return m[1];
+}
+
+function isHeaderLine(line){
+  const m = line.match(HEADER_FIELD);
+  return Boolean(m && HEADER_KEY.test(m[1]));
+}
+
+export function detectTranscriptFormat(text, filename = ''){
+  const ext = String(filename).toLowerCase().match(/\.(vtt|srt)$/)?.[1];
+  if (ext === 'vtt') return 'webvtt';
+  if (ext === 'srt') return 'srt';
+  const src = String(text ?? '').replace(/^﻿/, '');
+  if (/^WEBVTT\b/.test(src)) return 'webvtt';
+  if (/^\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{3}\s*-->/.test(src)) return 'srt';
+  return 'text';
+}
+
+function seconds(timestamp){
+  const parts = timestamp.replace(',', '.').split(':').map(Number);
+  const value = parts.reduce((total, part) => total * 60 + part, 0);
+  return Math.round(value * 1000) / 1000;
+}
+
+// Plain text: a turn starts at a speaker label, a section line ([Exam room], "Assessment and Plan:") or after a blank line.
+// Header fields ("Session Record ID: ...") before the first turn are not turns.
+// A label counts as a speaker when it names a role or recurs ("BP: 128/82" in a dictation is not a speaker)
+function plainTurns(text){
+  const lines = text.split('\n');
+  const counts = new Map();
+  for (const line of lines) {
+    const label = labelOf(line);
+    if (label) counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  const speakerOf = (line) => {
+    const label = labelOf(line);
+    return label && (speakerRole(label) !== 'other' || /^Dr\./.test(label) || counts.get(label) > 1) ? label : null;
+  };
+  const turns = [];
+  let current = null;
+  let offset = 0;
+  let inHeader = true;
+  const flush = () => {
+    if (current) turns.push(current);
+    current = null;
+  };
+  for (const line of lines) {
+    const start = offset;
+    offset += line.length + 1;
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    if (inHeader && !current && isHeaderLine(line)) continue;
+    const speaker = speakerOf(line);
+    inHeader = false;
+    if (!current || speaker || SECTION_LINE.test(line)) {
+      flush();
+      current = { index: turns.length + 1, speaker, role: speakerRole(speaker), start, end: start + line.trimEnd().length };
+      continue;
+    }
+    current.end = start + line.trimEnd().length;
+  }
+  flush();
+  return turns;
+}
+
+function cueText(lines){
+  return lines.join(' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Cues of a WebVTT or SRT file: [{ speaker, text, start_time, end_time }] plus header lines ("Key: value")
+function parseCues(src, format){
+  const blocks = src.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const header = [];
+  const cues = [];
+  for (const [i, block] of blocks.entries()) {
+    let lines = block.split('\n').filter(l => l.trim());
+    if (!lines.length) continue;
+    if (format === 'webvtt') {
+      if (i === 0 && /^WEBVTT\b/.test(lines[0])) {
+        header.push(...lines.slice(1).filter(isHeaderLine));
+        continue;
+      }
+      if (/^NOTE\b/.test(lines[0])) {
+        header.push(...[lines[0].replace(/^NOTE\s*/, ''), ...lines.slice(1)].filter(isHeaderLine));
+        continue;
+      }
+      if (/^(STYLE|REGION)\b/.test(lines[0])) continue;
+    }
+    const timingAt = lines.findIndex(l => TIMING.test(l));
+    if (timingAt < 0) {
+      if (!cues.length) header.push(...lines.filter(isHeaderLine));
+      continue;
+    }
+    const [, from, to] = lines[timingAt].match(TIMING);
+    lines = lines.slice(timingAt + 1);
+    const raw = lines.join('\n');
+    // <v Doctor>...</v> (WebVTT voice), else a "Doctor:" label
+    let speaker = raw.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/)?.[1]?.trim() || null;
+    let text = cueText(lines);
+    if (!speaker) {
+      speaker = labelOf(text);
+      if (speaker) text = text.replace(SPEAKER_LINE, '');
+    }
+    if (text) cues.push({ speaker: speaker ? sanitizeText(speaker) : null, text: sanitizeText(text), start_time: seconds(from), end_time: seconds(to) });
+  }
+  return { header: header.map(l => sanitizeText(l.trim())), cues };
+}
+
+// Consecutive cues of one speaker (and unlabeled cues following a labeled one) form a single turn
+function renderCues({ header, cues }){
+  const turns = [];
+  for (const cue of cues) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker && (cue.speaker === last.speaker || !cue.speaker)) {
+      last.text += ` ${cue.text}`;
+      last.end_time = cue.end_time;
+    } else {
+      turns.push({ ...cue });
+    }
+  }
+  let text = header.length ? `${header.join('\n')}\n\n` : '';
+  const out = [];
+  turns.forEach((turn, i) => {
+    // Unlabeled turns are set off by blank lines so the plain-text form splits into the same turns
+    if (i && (!turn.speaker || !turns[i - 1].speaker)) text += '\n';
+    const line = turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text;
+    out.push({
+      index: i + 1,
+      speaker: turn.speaker,
+      role: speakerRole(turn.speaker),
+      start: text.length,
+      end: text.length + line.length,
+      start_time: turn.start_time,
+      end_time: turn.end_time
+    });
+    text += `${line}\n`;
+  });
+  return { text: text.replace(/\n+$/, '\n'), turns: out };
+}
+
+// opts: { format: 'auto' (default) | 'text' | 'webvtt' | 'srt', filename } — the filename extension also selects the format
+export function parseTranscript(input, opts = {}){
+  const src = String(input ?? '');
+  const requested = String(opts.format || 'auto').toLowerCase().replace(/^vtt$/, 'webvtt').replace(/^(plain|txt)$/, 'text');
+  if (requested !== 'auto' && !TRANSCRIPT_FORMATS.includes(requested)) {
+    throw new Error(`Unknown transcript format: ${opts.format} (expected auto, ${TRANSCRIPT_FORMATS.join(', ')})`);
+  }
+  const format = requested === 'auto' ? detectTranscriptFormat(src, opts.filename) : requested;
+  const { text, turns } = format === 'text'
+    ? { text: src, turns: plainTurns(src) }
+    : renderCues(parseCues(src, format));
+  const { recordId, date } = parseSessionHeader(text);
+  return { format, header: { record_id: recordId || null, date: date || null }, turns, text };
+}
+
+// Prefixes every turn with a "[T<index>] " marker for the model; toSource maps an offset in the
+// marked text back to `text`
+export function numberTurns(text, turns){
+  let out = '';
+  let last = 0;
+  const inserted = [];
+  for (const turn of turns) {
+    out += text.slice(last, turn.start);
+    const marker = `[T${turn.index}] `;
+    inserted.push({ at: out.length, length: marker.length });
+    out += marker;
+    last = turn.start;
+  }
+  out += text.slice(last);
+  const toSource = (offset) => offset - inserted.filter(m => m.at < offset).reduce((sum, m) => sum + Math.min(m.length, offset - m.at), 0);
+  return { text: out, toSource };
+}
+
+const MARKER = /\[T\d+\]\s*/g;
+
+// Models sometimes copy the turn markers into quotes; takes a KG or a risk projection
+export function stripTurnMarkers(kg){
+  const clean = (value) => (typeof value === 'string' ? value.replace(MARKER, '').trim() : value);
+  for (const node of Array.isArray(kg?.nodes) ? kg.nodes : []) {
+    if (node?.source_span) node.source_span = clean(node.source_span);
+    for (const p of Array.isArray(node?.provenance) ? node.provenance : []) p.source_span = clean(p.source_span);
+  }
+  for (const rf of Array.isArray(kg?.risk_factors) ? kg.risk_factors : []) {
+    rf.doctor_quote = clean(rf.doctor_quote);
+    rf.patient_quote = clean(rf.patient_quote);
+  }
+  return kg;
+}
+
+// Ties nodes and risk projection quotes to turns of kg.transcript (located spans win over the turn the model named):
+// node.turn / node.speaker, rf.doctor_turn / rf.doctor_speaker, rf.patient_turn / rf.patient_speaker.
+// Turn offsets, speakers and the header are re-read from kg.source_text first, so they follow de- and re-identification.
+export function attributeTurns(kg){
+  const transcript = kg?.transcript;
+  if (!transcript || !Array.isArray(transcript.turns) || typeof kg.source_text !== 'string') return kg;
+  const fresh = plainTurns(kg.source_text);
+  if (fresh.length === transcript.turns.length) {
+    transcript.turns = transcript.turns.map((turn, i) => ({ ...turn, speaker: fresh[i].speaker, role: turn.role ?? fresh[i].role, start: fresh[i].start, end: fresh[i].end }));
+  }
+  const { recordId, date } = parseSessionHeader(kg.source_text);
+  transcript.header = { record_id: recordId || null, date: date || null };
+
+  const turns = transcript.turns;
+  const containing = (offset) => (Number.isFinite(offset) ? turns.find(t => offset >= t.start && offset <= t.end) : null);
+  const named = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 1 && n <= turns.length ? n : null;
+  };
+  const assign = (target, key, speakerKey, match, reported) => {
+    const index = containing(match?.start)?.index ?? named(reported);
+    if (index) {
+      target[key] = index;
+      target[speakerKey] = turns[index - 1].speaker || null;
+    } else {
+      delete target[key];
+      delete target[speakerKey];
+    }
+  };
+  for (const node of Array.isArray(kg.nodes) ? kg.nodes : []) {
+    if (node) assign(node, 'turn', 'speaker', node.source_match, node.turn);
+  }
+  for (const rf of Array.isArray(kg.risk_projection?.risk_factors) ? kg.risk_projection.risk_factors : []) {
+    for (const side of ['doctor', 'patient']) {
+      if (rf?.[`${side}_quote`]) assign(rf, `${side}_turn`, `${side}_speaker`, rf[`${side}_quote_match`], rf[`${side}_turn`]);
+      else if (rf) assign(rf, `${side}_turn`, `${side}_speaker`, null, null);
+    }
+  }
+  return kg;
+}
@@ -0,0 +1,352 @@
+import { normalizeLabel } from './diff.mjs';
+
+// Clinical validation of an extracted KG against the patient's chart (normalized FHIR, see fhir-import.mjs).
+// The knowledge lives in the tables below (drug classes, cross-reactivity, class contraindications);
+// RULES lists what is checked and at which severity, and each rule id maps to one small checker.
+// Every issue carries { rule, severity, message } plus the KG node / chart resource it refers to.
+
+const RXNORM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+export const SEVERITIES = ['critical', 'warning', 'info'];
+
+// Ingredients by class: RxNorm ingredient codes for coded data, names/synonyms for free text
+export const DRUG_CLASSES = [
+  { id: 'penicillins', label: 'Penicillins', aliases: ['penicillins', 'penicillin class'], members: [
+    { name: 'penicillin', rxnorm: '7980', synonyms: ['penicillin g', 'penicillin v', 'pen vk'] },
+    { name: 'amoxicillin', rxnorm: '723', synonyms: ['amoxil', 'augmentin', 'amoxicillin clavulanate'] },
+    { name: 'ampicillin', rxnorm: '733' },
+    { name: 'dicloxacillin' },
+    { name: 'piperacillin', synonyms: ['zosyn'] },
+    { name: 'nafcillin' }
+  ] },
+  { id: 'cephalosporins', label: 'Cephalosporins', aliases: ['cephalosporins'], members: [
+    { name: 'cephalexin', rxnorm: '2231', synonyms: ['keflex'] },
+    { name: 'cefazolin', rxnorm: '2180' },
+    { name: 'ceftriaxone', rxnorm: '2193', synonyms: ['rocephin'] },
+    { name: 'cefuroxime', rxnorm: '2194' },
+    { name: 'cefdinir', rxnorm: '25037' },
+    { name: 'cefpodoxime' },
+    { name: 'cefadroxil' }
+  ] },
+  { id: 'macrolides', label: 'Macrolides', aliases: ['macrolides'], members: [
+    { name: 'azithromycin', rxnorm: '18631', synonyms: ['zithromax', 'z-pak', 'zpak'] },
+    { name: 'clarithromycin', rxnorm: '21212' },
+    { name: 'erythromycin', rxnorm: '4053' }
+  ] },
+  { id: 'tetracyclines', label: 'Tetracyclines', aliases: ['tetracyclines'], members: [
+    { name: 'doxycycline', rxnorm: '3640' },
+    { name: 'minocycline', rxnorm: '6980' },
+    { name: 'tetracycline', rxnorm: '10395' }
+  ] },
+  { id: 'ace_inhibitors', label: 'ACE inhibitors', aliases: ['ace inhibitors', 'ace inhibitor'], members: [
+    { name: 'lisinopril', rxnorm: '29046', synonyms: ['zestril', 'prinivil'] },
+    { name: 'enalapril', rxnorm: '3827' },
+    { name: 'ramipril', rxnorm: '35296' },
+    { name: 'benazepril' }
+  ] },
+  { id: 'arbs', label: 'Angiotensin receptor blockers', aliases: ['arbs', 'angiotensin receptor blockers'], members: [
+    { name: 'losartan', rxnorm: '52175' },
+    { name: 'valsartan', rxnorm: '69749' },
+    { name: 'irbesartan' },
+    { name: 'olmesartan' }
+  ] },
+  { id: 'nonselective_beta_blockers', label: 'Non-selective beta-blockers', members: [
+    { name: 'propranolol', rxnorm: '8787' },
+    { name: 'nadolol', rxnorm: '7226' },
+    { name: 'carvedilol', rxnorm: '20352' },
+    { name: 'timolol' }
+  ] },
+  { id: 'cardioselective_beta_blockers', label: 'Cardioselective beta-blockers', members: [
+    { name: 'metoprolol', rxnorm: '6918' },
+    { name: 'atenolol', rxnorm: '1202' },
+    { name: 'bisoprolol' }
+  ] },
+  { id: 'short_acting_beta_agonists', label: 'Short-acting beta agonists', members: [
+    { name: 'albuterol', rxnorm: '435', synonyms: ['salbutamol', 'proair', 'ventolin'] },
+    { name: 'levalbuterol', rxnorm: '237159', synonyms: ['xopenex'] }
+  ] },
+  { id: 'inhaled_corticosteroids', label: 'Inhaled corticosteroids', members: [
+    { name: 'fluticasone', rxnorm: '41126', synonyms: ['flovent'] },
+    { name: 'budesonide', rxnorm: '19831', synonyms: ['pulmicort'] },
+    { name: 'beclomethasone', rxnorm: '1347', synonyms: ['qvar'] }
+  ] },
+  { id: 'nsaids', label: 'NSAIDs', aliases: ['nsaids', 'nsaid'], members: [
+    { name: 'ibuprofen', rxnorm: '5640', synonyms: ['advil', 'motrin'] },
+    { name: 'naproxen', rxnorm: '7258', synonyms: ['aleve'] },
+    { name: 'aspirin', rxnorm: '1191', synonyms: ['asa'] },
+    { name: 'celecoxib', rxnorm: '140587', synonyms: ['celebrex'] },
+    { name: 'diclofenac' },
+    { name: 'ketorolac' }
+  ] },
+  { id: 'ssris', label: 'SSRIs', aliases: ['ssris', 'ssri'], members: [
+    { name: 'sertraline', rxnorm: '36437', synonyms: ['zoloft'] },
+    { name: 'fluoxetine', rxnorm: '4493', synonyms: ['prozac'] },
+    { name: 'citalopram', rxnorm: '2556' },
+    { name: 'escitalopram', rxnorm: '321988', synonyms: ['lexapro'] }
+  ] },
+  { id: 'statins', label: 'Statins', aliases: ['statins', 'statin'], members: [
+    { name: 'atorvastatin', rxnorm: '83367', synonyms: ['lipitor'] },
+    { name: 'simvastatin', rxnorm: '36567' },
+    { name: 'rosuvastatin', rxnorm: '301542', synonyms: ['crestor'] }
+  ] },
+  { id: 'anticoagulants', label: 'Oral anticoagulants', aliases: ['anticoagulants', 'blood thinners'], members: [
+    { name: 'warfarin', rxnorm: '11289', synonyms: ['coumadin'] },
+    { name: 'apixaban', rxnorm: '1364430', synonyms: ['eliquis'] },
+    { name: 'rivaroxaban', rxnorm: '1114195', synonyms: ['xarelto'] }
+  ] }
+];
+
+// An allergy to one class puts drugs of the other class at risk
+export const CROSS_REACTIVITY = [
+  { classes: ['penicillins', 'cephalosporins'], severity: 'warning', note: 'beta-lactam cross-reactivity (low absolute risk, higher with shared side chains)' }
+];
+
+// Classes to avoid with certain active problems, matched by SNOMED code or problem name
+export const CLASS_CONTRAINDICATIONS = [
+  { class: 'nonselective_beta_blockers', problem: { snomed: ['195967001'], names: ['asthma'] }, severity: 'critical', note: 'can trigger bronchospasm' },
+  { class: 'nsaids', problem: { snomed: ['709044004'], names: ['chronic kidney disease', 'ckd'] }, severity: 'warning', note: 'may worsen renal function' },
+  { class: 'nsaids', problem: { snomed: ['13200003'], names: ['peptic ulcer'] }, severity: 'warning', note: 'raises the risk of GI bleeding' },
+  { class: 'ace_inhibitors', problem: { snomed: ['77386006'], names: ['pregnancy', 'pregnant'] }, severity: 'critical', note: 'fetotoxic' },
+  { class: 'arbs', problem: { snomed: ['77386006'], names: ['pregnancy', 'pregnant'] }, severity: 'critical', note: 'fetotoxic' }
+];
+
+export const RULES = [
+  { id: 'drug-allergy', severity: 'critical', description: 'Proposed medication is the documented allergen' },
+  { id: 'drug-allergy-class', severity: 'critical', description: 'Proposed medication belongs to the allergen\'s drug class' },
+  { id: 'allergy-cross-reactivity', severity: 'warning', description: 'Proposed medication is in a class cross-reactive with an allergy' },
+  { id: 'contraindicated-for-active-problem', severity: 'critical', description: 'KG contraindicated_for edge points at an active chart problem' },
+  { id: 'class-contraindication', severity: 'warning', description: 'Drug class is contraindicated with an active chart problem' },
+  { id: 'duplicate-therapeutic-class', severity: 'warning', description: 'Two different drugs of the same therapeutic class' },
+  { id: 'already-active', severity: 'info', description: 'Proposed medication is already on the active medication list' },
+  { id: 'formulary-non-preferred', severity: 'info', description: 'Medication is non-preferred on the formulary' }
+];
+
+const ACTIVE_PROBLEM_STATUSES = new Set(['', 'active', 'recurrence', 'relapse']);
+
+function textMatches(text, term){
+  const t = normalizeLabel(term);
+  if (!t) return false;
+  return ` ${text} `.includes(` ${t} `);
+}
+
+function codingsOf(value){
+  if (Array.isArray(value?.coding)) return value.coding;
+  if (Array.isArray(value?.codes)) return value.codes;
+  return [];
+}
+
+function codesFor(codings, pattern){
+  return codings.filter(c => c?.code && pattern.test(c.system || '')).map(c => String(c.code));
+}
+
+function buildIndex(classes){
+  const ingredients = new Map();
+  const classById = new Map(classes.map(c => [c.id, c]));
+  for (const cls of classes) {
+    for (const member of cls.members || []) {
+      const entry = ingredients.get(member.name) || { name: member.name, rxnorm: member.rxnorm || '', terms: new Set([member.name]), classes: new Set() };
+      for (const s of member.synonyms || []) entry.terms.add(s);
+      entry.classes.add(cls.id);
+      ingredients.set(member.name, entry);
+    }
+  }
+  return { ingredients: [...ingredients.values()], classById };
+}
+
+// Resolve a coded or free-text drug to { ingredients: [...], classes: Set } (RxNorm codes first, then names)
+function resolveDrug(index, text, codings){
+  const rx = new Set(codesFor(codings, /rxnorm/i));
+  const norm = normalizeLabel(text);
+  const hits = index.ingredients.filter(i => (i.rxnorm && rx.has(i.rxnorm)) || [...i.terms].some(t => textMatches(norm, t)));
+  const classes = new Set(hits.flatMap(i => [...i.classes]));
+  // Class names used as the drug itself, e.g. an allergy recorded as "Penicillins" or "NSAIDs"
+  for (const cls of index.classById.values()) {
+    if ((cls.aliases || []).some(a => textMatches(norm, a))) classes.add(cls.id);
+  }
+  return { ingredients: hits.map(i => i.name), classes };
+}
+
+function conceptText(concept){
+  return concept?.text || concept?.coding?.find(c => c?.display)?.display || '';
+}
+
+function chartRef(resource){
+  return resource?.resourceType && resource?.id ? `${resource.resourceType}/${resource.id}` : '';
+}
+
+function problemMatches(problem, matcher){
+  const snomed = new Set(codesFor(codingsOf(problem.code), /snomed/i));
+  if ((matcher.snomed || []).some(code => snomed.has(code))) return true;
+  const text = normalizeLabel(conceptText(problem.code));
+  return (matcher.names || []).some(n => textMatches(text, n));
+}
+
+function sameProblem(problem, node){
+  const nodeSnomed = codesFor(codingsOf(node), /snomed/i);
+  const chartSnomed = codesFor(codingsOf(problem.code), /snomed/i);
+  if (nodeSnomed.some(c => chartSnomed.includes(c))) return true;
+  const a = normalizeLabel(conceptText(problem.code));
+  const b = normalizeLabel(node.label);
+  return Boolean(a && b && (a === b || textMatches(b, a) || textMatches(a, b)));
+}
+
+function classLabel(ctx, id){
+  return ctx.index.classById.get(id)?.label || id;
+}
+
+function shared(a, b){
+  return [...a].filter(x => b.has(x));
+}
+
+const CHECKS = {
+  'drug-allergy'(ctx, rule){
+    return ctx.meds.flatMap(med => ctx.allergies.flatMap(alg => {
+      const same = med.drug.ingredients.filter(i => alg.drug.ingredients.includes(i));
+      if (!same.length) return [];
+      return [{ node_id: med.node.id, chart_ref: chartRef(alg.resource), allergy: alg.label, message: `"${med.node.label}" is the documented allergen "${alg.label}"${alg.reaction ? ` (${alg.reaction})` : ''}` }];
+    }));
+  },
+  'drug-allergy-class'(ctx, rule){
+    return ctx.meds.flatMap(med => ctx.allergies.flatMap(alg => {
+      if (med.drug.ingredients.some(i => alg.drug.ingredients.includes(i))) return [];
+      const classes = shared(med.drug.classes, alg.drug.classes);
+      if (!classes.length) return [];
+      return [{
+        node_id: med.node.id,
+        chart_ref: chartRef(alg.resource),
+        allergy: alg.label,
+        severity: alg.resource.criticality === 'low' ? 'warning' : rule.severity,
+        message: `"${med.node.label}" is in the same class (${classes.map(c => classLabel(ctx, c)).join(', ')}) as allergy "${alg.label}"`
+      }];
+    }));
+  },
+  'allergy-cross-reactivity'(ctx, rule){
+    return ctx.meds.flatMap(med => ctx.allergies.flatMap(alg => ctx.crossReactivity.flatMap(pair => {
+      const [a, b] = pair.classes;
+      const hit = (alg.drug.classes.has(a) && med.drug.classes.has(b) && !med.drug.classes.has(a))
+        || (alg.drug.classes.has(b) && med.drug.classes.has(a) && !med.drug.classes.has(b));
+      if (!hit) return [];
+      return [{ node_id: med.node.id, chart_ref: chartRef(alg.resource), allergy: alg.label, severity: pair.severity, message: `"${med.node.label}" with allergy "${alg.label}": ${pair.note}` }];
+    })));
+  },
+  'contraindicated-for-active-problem'(ctx, rule){
+    const byId = new Map(ctx.nodes.map(n => [String(n.id), n]));
+    return ctx.edges.filter(e => e?.type === 'contraindicated_for').flatMap(edge => {
+      const source = byId.get(String(edge.source));
+      const target = byId.get(String(edge.target));
+      if (!source || !target) return [];
+      const problem = ctx.problems.find(p => sameProblem(p, target));
+      if (!problem) return [];
+      return [{ node_id: source.id, edge: { source: String(edge.source), target: String(edge.target) }, chart_ref: chartRef(problem), message: `"${source.label}" is contraindicated for "${target.label}", an active problem in the chart` }];
+    });
+  },
+  'class-contraindication'(ctx, rule){
+    return ctx.meds.flatMap(med => ctx.contraindications.flatMap(ci => {
+      if (!med.drug.classes.has(ci.class)) return [];
+      const problem = ctx.problems.find(p => problemMatches(p, ci.problem));
+      if (!problem) return [];
+      return [{ node_id: med.node.id, chart_ref: chartRef(problem), severity: ci.severity, message: `${classLabel(ctx, ci.class)} ("${med.node.label}") with active "${conceptText(problem.code)}": ${ci.note}` }];
+    }));
+  },
+  'duplicate-therapeutic-class'(ctx, rule){
+    const issues = [];
+    const seen = new Set();
+    const others = [
+      ...ctx.meds.map(m => ({ label: m.node.label, drug: m.drug, node_id: m.node.id })),
+      ...ctx.chartMeds.map(m => ({ label: m.label, drug: m.drug, chart_ref: chartRef(m.resource) }))
+    ];
+    for (const med of ctx.meds) {
+      for (const other of others) {
+        if (other.node_id === med.node.id) continue;
+        if (med.drug.ingredients.some(i => other.drug.ingredients.includes(i))) continue;
+        const classes = shared(med.drug.classes, other.drug.classes);
+        if (!classes.length) continue;
+        const pair = [med.node.id, other.node_id || other.chart_ref].sort().join('|');
+        if (seen.has(pair)) continue;
+        seen.add(pair);
+        issues.push({
+          node_id: med.node.id,
+          ...(other.chart_ref ? { chart_ref: other.chart_ref } : { related_node_id: other.node_id }),
+          message: `"${med.node.label}" and ${other.chart_ref ? 'active medication ' : ''}"${other.label}" are both ${classes.map(c => classLabel(ctx, c)).join(', ')}`
+        });
+      }
+    }
+    return issues;
+  },
+  'already-active'(ctx, rule){
+    return ctx.meds.flatMap(med => ctx.chartMeds.flatMap(cm => {
+      const same = med.drug.ingredients.filter(i => cm.drug.ingredients.includes(i));
+      if (!same.length) return [];
+      return [{ node_id: med.node.id, chart_ref: chartRef(cm.resource), message: `"${med.node.label}" is already active in the chart as "${cm.label}"` }];
+    }));
+  },
+  'formulary-non-preferred'(ctx, rule){
+    const formulary = ctx.chart?.formulary;
+    const nonPreferred = Array.isArray(formulary?.nonPreferred) ? formulary.nonPreferred : [];
+    if (!nonPreferred.length) return [];
+    const alternatives = (Array.isArray(formulary.preferredAlternatives) ? formulary.preferredAlternatives : [])
+      .map(alt => ({ alt, drug: resolveDrug(ctx.index, alt.generic || '', alt.rxnorm ? [{ system: RXNORM, code: alt.rxnorm }] : []) }))
+      // Do not suggest something that would itself hit an allergy
+      .filter(({ drug }) => !ctx.allergies.some(alg => shared(drug.classes, alg.drug.classes).length || drug.ingredients.some(i => alg.drug.ingredients.includes(i))))
+      .map(({ alt }) => alt.generic)
+      .filter(Boolean);
+    return ctx.meds.flatMap(med => nonPreferred.flatMap(np => {
+      const drug = resolveDrug(ctx.index, np.generic || '', np.rxnorm ? [{ system: RXNORM, code: np.rxnorm }] : []);
+      const matches = drug.ingredients.length
+        ? med.drug.ingredients.some(i => drug.ingredients.includes(i))
+        : textMatches(normalizeLabel(med.node.label), np.generic || '');
+      if (!matches) return [];
+      return [{ node_id: med.node.id, message: `"${med.node.label}" is non-preferred on the formulary${alternatives.length ? `; preferred alternatives: ${alternatives.join(', ')}` : ''}` }];
+    }));
+  }
+};
+
+// kg: extracted graph; chart: normalized FHIR chart (may be null, then only KG-internal rules can fire)
+// opts: { rules, classes, crossReactivity, contraindications } to replace the default tables
+export function validateKg(kg, chart, opts = {}){
+  const rules = Array.isArray(opts.rules) ? opts.rules : RULES;
+  const index = buildIndex(Array.isArray(opts.classes) ? opts.classes : DRUG_CLASSES);
+  const nodes = Array.isArray(kg?.nodes) ? kg.nodes.filter(n => n && typeof n === 'object') : [];
+  const ctx = {
+    index,
+    chart,
+    nodes,
+    edges: Array.isArray(kg?.edges) ? kg.edges : [],
+    crossReactivity: Array.isArray(opts.crossReactivity) ? opts.crossReactivity : CROSS_REACTIVITY,
+    contraindications: Array.isArray(opts.contraindications) ? opts.contraindications : CLASS_CONTRAINDICATIONS,
+    meds: nodes.filter(n => n.type === 'Medication').map(node => ({ node, drug: resolveDrug(index, node.label, codingsOf(node)) })),
+    allergies: (chart?.allergies || [])
+      .filter(a => !a.clinicalStatus || a.clinicalStatus === 'active')
+      .map(resource => ({
+        resource,
+        label: conceptText(resource.code),
+        reaction: resource.reaction?.[0]?.manifestation?.[0]?.text || '',
+        drug: resolveDrug(index, conceptText(resource.code), codingsOf(resource.code))
+      })),
+    chartMeds: (chart?.medications || []).map(resource => ({
+      resource,
+      label: conceptText(resource.medicationCodeableConcept),
+      drug: resolveDrug(index, conceptText(resource.medicationCodeableConcept), codingsOf(resource.medicationCodeableConcept))
+    })),
+    problems: (chart?.problems || []).filter(p => ACTIVE_PROBLEM_STATUSES.has(String(p.clinicalStatus || '').toLowerCase()))
+  };
+
+  const issues = [];
+  for (const rule of rules) {
+    const check = CHECKS[rule.id];
+    if (!check) continue;
+    for (const issue of check(ctx, rule)) {
+      issues.push({ rule: rule.id, severity: issue.severity || rule.severity, ...issue });
+    }
+  }
+  issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, issues.filter(i => i.severity === s).length]));
+  return {
+    patient_id: chart?.patient?.id || '',
+    rules: rules.filter(r => CHECKS[r.id]).map(r => r.id),
+    counts,
+    issues
+  };
+}
+
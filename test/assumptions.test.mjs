@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { detectAssumptions } from '../scripts/assumptions.mjs';
+import { ROOT } from './helpers.mjs';
+
+const unassigned = (kg) => detectAssumptions(kg).items.filter(i => i.rule === 'medication-without-population').map(i => i.node_id);
+
+test('medications administered to the fixture population are not flagged', async () => {
+  const kg = JSON.parse(await fs.readFile(path.join(ROOT, 'fixtures', 'extraction.json'), 'utf8'));
+  // The recorded extraction links Population -> Medication ("Ava administered_to Albuterol")
+  assert.ok(kg.edges.some(e => e.source === '1' && e.type === 'administered_to' && e.target === '4'));
+  assert.deepEqual(unassigned(kg), []);
+});
+
+test('medication-without-population accepts either direction and flags unlinked medications', () => {
+  const kg = {
+    nodes: [
+      { id: '1', type: 'Population', label: 'Ava' },
+      { id: '2', type: 'Medication', label: 'Albuterol' },
+      { id: '3', type: 'Medication', label: 'Azithromycin' },
+      { id: '4', type: 'Medication', label: 'Prednisone' },
+      { id: '5', type: 'Condition', label: 'Asthma' }
+    ],
+    edges: [
+      { source: '1', type: 'administered_to', target: '2' },
+      { source: '3', type: 'administered_to', target: '1' },
+      { source: '4', type: 'administered_to', target: '5' }
+    ]
+  };
+  assert.deepEqual(unassigned(kg), ['4']);
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { withCache, cacheKey } from '../scripts/cache.mjs';
+import { tempDir } from './helpers.mjs';
+
+const REQUEST = { purpose: 'extract', model: 'gpt-4o-mini', input: 'Transcript', temperature: 0 };
+
+function stub(name, baseURL, text){
+  return { name, baseURL, calls: 0, async generate(request){ this.calls++; return { text, model: request.model, api: 'chat', usage: null }; } };
+}
+
+test('the cache key covers the provider name and base URL', () => {
+  const local = stub('http', 'http://127.0.0.1:11434/v1');
+  assert.equal(cacheKey(REQUEST, local), cacheKey({ ...REQUEST }, stub('http', 'http://127.0.0.1:11434/v1')));
+  assert.notEqual(cacheKey(REQUEST, local), cacheKey(REQUEST, stub('http', 'http://10.0.0.5:8000/v1')));
+  assert.notEqual(cacheKey(REQUEST, local), cacheKey(REQUEST, stub('openai', 'http://127.0.0.1:11434/v1')));
+});
+
+test('two providers with the same request do not share a cache entry', async (t) => {
+  const dir = await tempDir();
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const local = stub('http', 'http://127.0.0.1:11434/v1', 'local answer');
+  const remote = stub('openai', 'https://api.openai.com/v1', 'remote answer');
+
+  const first = await withCache(local, { mode: 'read-through', dir }).generate(REQUEST);
+  assert.equal(first.cache.hit, false);
+  const second = await withCache(remote, { mode: 'read-through', dir }).generate(REQUEST);
+  assert.equal(second.cache.hit, false);
+  assert.equal(second.text, 'remote answer');
+  assert.notEqual(second.cache.key, first.cache.key);
+
+  const again = await withCache(local, { mode: 'read-through', dir }).generate(REQUEST);
+  assert.deepEqual([again.cache.hit, again.text], [true, 'local answer']);
+  assert.equal(local.calls, 1);
+  await assert.rejects(withCache(stub('http', 'http://10.0.0.5:8000/v1'), { mode: 'replay', dir }).generate(REQUEST), /No cached response/);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { saveSession, getSession, listSessions } from '../scripts/sessions.mjs';
+import { ROOT, tempDir, startServer, postJson } from './helpers.mjs';
+
+const SAMPLE = path.join(ROOT, 'fixtures', 'sample.txt');
+// Identifiers of fixtures/sample.txt: its record header and the patient's first name
+const RECORD_ID = 'SR-2025-09-23-01';
+const RECORD_DATE = '2025-09-23';
+
+test('sessions kept de-identified at rest get an opaque id and no record date', async () => {
+  const dir = await tempDir();
+  try {
+    const text = await fs.readFile(SAMPLE, 'utf8');
+    const plain = await saveSession(dir, text, { nodes: [], edges: [] });
+    assert.equal(plain.session.id, RECORD_ID);
+    assert.equal(plain.session.date, RECORD_DATE);
+
+    const kg = { nodes: [], edges: [], deidentification: { at_rest: true, key_id: 'k1' } };
+    const first = await saveSession(dir, text, kg);
+    const second = await saveSession(dir, text, kg);
+    assert.match(first.session.id, /^SR-[0-9a-f-]{36}$/);
+    assert.notEqual(first.session.id, second.session.id);
+    assert.notEqual(first.session.date, RECORD_DATE);
+    const stored = JSON.stringify(await getSession(dir, first.session.id));
+    assert.doesNotMatch(stored, new RegExp(`${RECORD_ID}|${RECORD_DATE}`));
+    assert.equal((await listSessions(dir)).length, 3);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('DEID_AT_REST server sessions carry no record identifiers in file name or session block', async (t) => {
+  const server = await startServer({ DEID_AT_REST: 'true' });
+  t.after(() => server.stop());
+  const res = await server.request('/analyze', postJson({ text: await fs.readFile(SAMPLE, 'utf8') }));
+  assert.equal(res.status, 200);
+  const { session } = await res.json();
+  assert.notEqual(session, RECORD_ID);
+  const files = await fs.readdir(path.join(server.dir, 'sessions'));
+  assert.deepEqual(files, [`${session}.json`]);
+  const stored = JSON.parse(await fs.readFile(path.join(server.dir, 'sessions', files[0]), 'utf8'));
+  assert.doesNotMatch(JSON.stringify(stored.session), new RegExp(`${RECORD_ID}|${RECORD_DATE}`));
+  assert.doesNotMatch(stored.source_text, /Ava|2025-09-23|SR-2025/);
+  // Re-identified for the viewer, in memory only
+  const shown = await (await server.request(`/sessions/${session}?reidentify=1`)).json();
+  assert.match(shown.source_text, /Hi Ava/);
+});
+
+function runCli(cwd, env){
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'scripts', 'extract.mjs'), SAMPLE], {
+      cwd,
+      env: { ...process.env, LLM_PROVIDER: 'fixture', FIXTURE_DIR: path.join(ROOT, 'fixtures'), LLM_CACHE: 'off', ...env },
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let err = '';
+    child.stderr.on('data', chunk => { err += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`extract.mjs exited with ${code}: ${err}`))));
+  });
+}
+
+test('the extract CLI loads data/fhir.json so chart names are de-identified', async () => {
+  const dir = await tempDir();
+  try {
+    await fs.mkdir(path.join(dir, 'data'));
+    await fs.copyFile(path.join(ROOT, 'data', 'fhir.json'), path.join(dir, 'data', 'fhir.json'));
+    await runCli(dir, { DEID_AT_REST: 'true' });
+    const kg = JSON.parse(await fs.readFile(path.join(dir, 'data', 'kg.json'), 'utf8'));
+    assert.ok(kg.deidentification.surrogates.NAME >= 1);
+    assert.doesNotMatch(kg.source_text, /\bAva\b/);
+    assert.ok(kg.validations, 'chart validation ran');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
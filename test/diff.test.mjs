@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSessions } from '../scripts/diff.mjs';
+import { detectAssumptions } from '../scripts/assumptions.mjs';
+
+// Same patient, two visits; ids differ between runs as they do between extractions
+function visit(id, date, nodes, edges){
+  const kg = { session: { id, date, patient_id: 'pat-001' }, nodes, edges };
+  kg.assumptions = detectAssumptions(kg);
+  return kg;
+}
+
+const first = visit('SR-1', '2025-01-01', [
+  { id: '1', type: 'Population', label: 'Ava' },
+  { id: '2', type: 'Medication', label: 'Azithromycin' },
+  { id: '3', type: 'Outcome', label: 'Symptom control' },
+  { id: '4', type: 'RiskFactor', label: 'Penicillin allergy', attributes: { coverage_status: 'not_addressed' } },
+  { id: '5', type: 'RiskFactor', label: 'Smoking', attributes: { coverage_status: 'uncertain' } }
+], []);
+
+const second = visit('SR-2', '2025-02-01', [
+  { id: '10', type: 'Population', label: 'Ava' },
+  { id: '11', type: 'Medication', label: 'Azithromycin' },
+  { id: '12', type: 'Outcome', label: 'Symptom control' },
+  { id: '13', type: 'Evidence', label: 'Spirometry improved' },
+  { id: '14', type: 'Condition', label: 'Viral infection' },
+  { id: '15', type: 'Condition', label: 'Asthma exacerbation' },
+  { id: '16', type: 'RiskFactor', label: 'Penicillin allergy', attributes: { coverage_status: 'addressed' } },
+  { id: '17', type: 'RiskFactor', label: 'Obesity', attributes: { coverage_status: 'not_addressed' } }
+], [
+  { source: '13', type: 'supports', target: '12' },
+  { source: '14', type: 'causes', target: '15' }
+]);
+
+test('risk factors are matched by label across runs', () => {
+  const { overall, timeline } = diffSessions([second, first]);
+  assert.deepEqual(overall.added.map(r => r.label), ['Obesity']);
+  assert.deepEqual(overall.resolved.map(r => r.label), ['Smoking']);
+  assert.deepEqual(overall.transitions.map(t => [t.label, t.from, t.to]), [['Penicillin allergy', 'not_addressed', 'addressed']]);
+  assert.deepEqual(timeline.find(r => r.label === 'Smoking').statuses, ['uncertain', null]);
+});
+
+test('open assumptions are diffed as opened, resolved and unchanged', () => {
+  const { overall, steps } = diffSessions([first, second]);
+  const rules = (list) => list.map(a => a.rule).sort();
+  assert.deepEqual(rules(overall.assumptions.resolved), ['outcome-without-evidence']);
+  assert.deepEqual(rules(overall.assumptions.opened), ['causal-claim-without-mechanism']);
+  assert.deepEqual(rules(overall.assumptions.unchanged), ['medication-without-population']);
+  assert.match(overall.assumptions.opened[0].message, /"Viral infection" → "Asthma exacerbation"/);
+  assert.deepEqual(steps[0].assumptions, overall.assumptions);
+});
+
+test('sessions without stored assumptions are not compared', () => {
+  const { assumptions, ...older } = first;
+  const { overall } = diffSessions([older, second]);
+  assert.equal(overall.assumptions, null);
+  assert.equal(overall.transitions.length, 1);
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runEval, loadCases } from '../scripts/eval.mjs';
+import { ROOT } from './helpers.mjs';
+
+test('every eval case replays offline and is scored against its own gold graph', async () => {
+  const report = await runEval({ mode: 'replay' });
+  assert.equal(report.failed, 0);
+  assert.ok(report.cases.length >= 3);
+  for (const c of report.cases) {
+    assert.ok(c.metrics.nodes.micro.tp > 0, c.case);
+    // A gold graph copied from the recorded output would score 100%
+    assert.ok(c.metrics.nodes.micro.f1 < 1, c.case);
+  }
+});
+
+test('eval cases have distinct transcripts', async () => {
+  const cases = await loadCases();
+  assert.equal(new Set(cases.map(c => c.transcript)).size, cases.length);
+  const sample = await fs.readFile(path.join(ROOT, 'fixtures', 'sample.txt'), 'utf8');
+  assert.ok(cases.filter(c => c.transcript !== sample).length >= 2);
+});
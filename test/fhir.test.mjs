@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { normalizeFhir, selectPatientChart } from '../scripts/fhir-import.mjs';
+import { kgToFhirBundle } from '../scripts/fhir-export.mjs';
+import { ROOT, startServer, postJson } from './helpers.mjs';
+
+const condition = (id, subject, text) => ({ resource: { resourceType: 'Condition', id, ...(subject ? { subject: { reference: subject } } : {}), code: { text } } });
+
+const BUNDLE = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { fullUrl: 'urn:uuid:p1', resource: { resourceType: 'Patient', id: 'pat-001' } },
+    condition('c1', 'Patient/pat-001', 'Asthma'),
+    condition('c2', 'Patient/pat-002', 'Heart failure'),
+    condition('c3', '', 'Pregnancy'),
+    condition('c4', 'urn:uuid:p1', 'Hypertension')
+  ]
+};
+
+test('resources whose subject is not a Patient of the bundle are not charted', () => {
+  const { patients } = normalizeFhir(BUNDLE);
+  assert.equal(patients.length, 1);
+  assert.deepEqual(patients[0].problems.map(p => p.code.text), ['Asthma', 'Hypertension']);
+});
+
+test('selectPatientChart never falls back to another patient', () => {
+  const normalized = normalizeFhir(BUNDLE);
+  assert.equal(selectPatientChart(normalized, 'pat-001').patient.id, 'pat-001');
+  assert.equal(selectPatientChart(normalized, '').patient.id, 'pat-001');
+  assert.equal(selectPatientChart(normalized, 'pat-999'), null);
+});
+
+test('a session for a patient without a chart is not validated against another chart', async (t) => {
+  const server = await startServer({ DEIDENTIFY: 'false' });
+  t.after(() => server.stop());
+  const text = await fs.readFile(path.join(ROOT, 'fixtures', 'sample.txt'), 'utf8');
+
+  const known = await (await server.request('/analyze', postJson({ text, patientId: 'pat-001' }))).json();
+  const knownKg = await (await server.request(`/sessions/${known.session}`)).json();
+  assert.equal(knownKg.validations.patient_id, 'pat-001');
+
+  // Another patient's posted chart is ignored as well
+  const chart = JSON.parse(await fs.readFile(path.join(ROOT, 'data', 'fhir.json'), 'utf8'));
+  const res = await server.request('/analyze', postJson({ text: text.replace('SR-2025-09-23-01', 'SR-2025-09-23-99'), patientId: 'pat-999', chart }));
+  assert.equal(res.status, 200);
+  const { session } = await res.json();
+  const kg = await (await server.request(`/sessions/${session}`)).json();
+  assert.equal(kg.session.patient_id, 'pat-999');
+  assert.equal(kg.validations, undefined);
+
+  const bundle = await (await server.request(`/export/fhir?session=${session}`)).json();
+  assert.ok(bundle.entry.length > 0);
+  for (const { resource } of bundle.entry.filter(e => e.resource.resourceType !== 'Provenance')) {
+    assert.deepEqual(resource.subject, { reference: 'Patient/pat-999' }, resource.resourceType);
+  }
+
+  const reviewed = await (await server.request(`/sessions/${session}/review`, postJson({ reviewer: 'Dr. Lee', actions: [{ type: 'delete_node', node_id: '16' }] }))).json();
+  assert.equal(reviewed.validations, undefined);
+});
+
+const KG = {
+  session: { id: 'SR-EXPORT-1' },
+  nodes: [
+    { id: '1', type: 'Condition', label: 'Asthma' },
+    { id: '2', type: 'Medication', label: 'Albuterol' },
+    { id: '3', type: 'Procedure', label: 'Spirometry' },
+    { id: '4', type: 'RiskFactor', label: 'Penicillin allergy' }
+  ],
+  edges: []
+};
+const subjects = (bundle) => bundle.entry.filter(e => e.resource.resourceType !== 'Provenance').map(e => e.resource.subject);
+
+test('the FHIR export references the session patient and refuses another patient\'s chart', () => {
+  const chart = { patient: { id: 'pat-001' } };
+  assert.ok(subjects(kgToFhirBundle(KG, chart, { patientId: 'pat-001' })).every(s => s.reference === 'Patient/pat-001'));
+  assert.ok(subjects(kgToFhirBundle(KG, null, { patientId: 'pat-999' })).every(s => s.reference === 'Patient/pat-999'));
+  assert.throws(() => kgToFhirBundle(KG, chart, { patientId: 'pat-999' }), (e) => e.status === 409 && /pat-001.*pat-999/.test(e.message));
+});
+
+test('without a patient every exported resource still has a subject', () => {
+  const all = subjects(kgToFhirBundle(KG, null));
+  assert.equal(all.length, 4);
+  for (const subject of all) {
+    assert.equal(subject.type, 'Patient');
+    assert.deepEqual(subject.identifier, { system: 'urn:articula:session', value: 'SR-EXPORT-1' });
+  }
+});
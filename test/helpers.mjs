@@ -0,0 +1,87 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import net from 'node:net';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// Shared setup for the node --test suites: a server process on a free port with its own session and key folders,
+// so tests never touch data/ in the working tree.
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export async function tempDir(prefix = 'articula-test-'){
+  return fs.mkdtemp(path.join(os.tmpdir(), prefix));
+}
+
+function freePort(){
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts scripts/server.mjs with the fixture provider; env adds or overrides variables.
+// Returns { url, dir, request(path, init), stop() }
+export async function startServer(env = {}){
+  const dir = await tempDir();
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'scripts', 'server.mjs')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      LLM_PROVIDER: 'fixture',
+      LLM_CACHE: 'off',
+      API_KEYS: '',
+      PORT: String(port),
+      SESSIONS_DIR: path.join(dir, 'sessions'),
+      DEID_KEY_DIR: path.join(dir, 'deid'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', chunk => { output += chunk; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10_000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+  const url = `http://127.0.0.1:${port}`;
+
+  return {
+    url,
+    dir,
+    child,
+    exited,
+    output: () => output,
+    request: (pathname, init = {}) => fetch(url + pathname, init),
+    async stop(){
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// JSON POST body with the given headers
+export function postJson(body, headers = {}){
+  return { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: typeof body === 'string' ? body : JSON.stringify(body) };
+}
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fixKg } from '../scripts/kg-schema.mjs';
+import { NODE_TYPES, EDGE_TYPES } from '../scripts/extract.mjs';
+
+const TYPES = { nodeTypes: NODE_TYPES, edgeTypes: EDGE_TYPES };
+
+test('edges naming a duplicated node id are dropped, not bound to the first node', () => {
+  const kg = {
+    nodes: [
+      { id: '1', type: 'Population', label: 'Ava' },
+      { id: '2', type: 'Medication', label: 'Albuterol' },
+      { id: '2', type: 'Condition', label: 'Asthma' },
+      { id: '3', type: 'Finding', label: 'Wheeze' }
+    ],
+    edges: [
+      { source: '1', type: 'administered_to', target: '2' },
+      { source: '2', type: 'treats', target: '2' },
+      { source: 3, type: 'associated_with', target: '2' },
+      { source: '3', type: 'associated_with', target: 'Asthma' }
+    ]
+  };
+  const fixes = fixKg(kg, TYPES);
+  assert.deepEqual(kg.nodes.map(n => [n.id, n.label]), [['1', 'Ava'], ['2', 'Albuterol'], ['4', 'Asthma'], ['3', 'Wheeze']]);
+  // Only the edge that named its endpoint by label survives
+  assert.deepEqual(kg.edges, [{ source: '3', type: 'associated_with', target: '4' }]);
+  assert.ok(fixes.includes('node 2: duplicate id, renumbered to 4'));
+  assert.equal(fixes.filter(f => /shared by several nodes/.test(f)).length, 3);
+});
+
+test('unique ids keep their edges', () => {
+  const kg = {
+    nodes: [{ id: 1, type: 'Drug', label: 'Albuterol' }, { id: '2', type: 'Condition', label: 'Asthma' }],
+    edges: [{ source: 1, type: 'Treats', target: '2' }, { source: '1', type: 'treats', target: '2' }]
+  };
+  fixKg(kg, TYPES);
+  assert.equal(kg.nodes[0].type, 'Medication');
+  assert.deepEqual(kg.edges, [{ source: '1', type: 'treats', target: '2' }]);
+});
@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { applyReview } from '../scripts/review.mjs';
+import { NODE_TYPES, EDGE_TYPES } from '../scripts/extract.mjs';
+import { ROOT, startServer, postJson } from './helpers.mjs';
+
+const TYPES = { nodeTypes: NODE_TYPES, edgeTypes: EDGE_TYPES, now: new Date('2025-01-02T03:04:05Z') };
+
+function sessionKg(){
+  return {
+    session: { id: 'SR-REVIEW-1' },
+    summary: 'Cough',
+    nodes: [
+      { id: '1', type: 'Population', label: 'Ava', attributes: {} },
+      { id: '2', type: 'RiskFactor', label: 'Penicillin allergy', attributes: { coverage_status: 'addressed' }, codes: [{ system: 'x', code: '1' }] },
+      { id: '3', type: 'RiskFactor', label: 'Smoking', attributes: { coverage_status: 'not_addressed' } },
+      { id: '4', type: 'Medication', label: 'Amoxicilin', attributes: { dose: '500 mg' } }
+    ],
+    edges: [{ source: '1', type: 'administered_to', target: '4' }, { source: '4', type: 'associated_with', target: '2' }],
+    risk_projection: { risk_factors: [{ id: '2', status: 'addressed' }, { id: '3', status: 'not_addressed' }] }
+  };
+}
+
+test('accepting a risk status marks it confirmed', () => {
+  const { kg, entries } = applyReview(sessionKg(), { reviewer: 'Dr. Lee', actions: [{ type: 'set_risk_status', node_id: '2', status: 'addressed', note: 'agree' }] }, TYPES);
+  const node = kg.nodes.find(n => n.id === '2');
+  assert.equal(node.review.decision, 'confirmed');
+  assert.equal(node.review.llm_status, 'addressed');
+  assert.equal(node.review.by, 'Dr. Lee');
+  assert.deepEqual(entries[0], { at: '2025-01-02T03:04:05.000Z', reviewer: 'Dr. Lee', action: 'set_risk_status', target: 'node:2', before: 'addressed', after: 'addressed', note: 'agree' });
+});
+
+test('rejecting a risk status overrides it in the node and the projection', () => {
+  const { kg } = applyReview(sessionKg(), { reviewer: 'Dr. Lee', actions: [{ type: 'set_risk_status', node_id: '3', status: 'addressed' }] }, TYPES);
+  assert.equal(kg.nodes.find(n => n.id === '3').review.decision, 'overridden');
+  assert.equal(kg.nodes.find(n => n.id === '3').attributes.coverage_status, 'addressed');
+  assert.equal(kg.risk_projection.risk_factors.find(rf => rf.id === '3').status, 'addressed');
+  // The model's answer is kept for comparison
+  assert.equal(kg.llm_output.risk_projection.risk_factors.find(rf => rf.id === '3').status, 'not_addressed');
+});
+
+test('rejecting a node deletes it with its edges and projection entry', () => {
+  const { kg, entries } = applyReview(sessionKg(), { reviewer: 'Dr. Lee', actions: [{ type: 'delete_node', node_id: '2' }] }, TYPES);
+  assert.equal(kg.nodes.some(n => n.id === '2'), false);
+  assert.deepEqual(kg.edges, [{ source: '1', type: 'administered_to', target: '4' }]);
+  assert.deepEqual(kg.risk_projection.risk_factors.map(rf => rf.id), ['3']);
+  assert.equal(entries[0].before.edges.length, 1);
+  assert.equal(kg.llm_output.nodes.length, 4);
+});
+
+test('editing a node updates label and attributes and drops stale codes', () => {
+  const { kg, entries } = applyReview(sessionKg(), {
+    reviewer: 'Dr. Lee',
+    actions: [
+      { type: 'update_node', node_id: '4', label: 'Amoxicillin', attributes: { dose: null, route: 'oral' } },
+      { type: 'update_node', node_id: '2', node_type: 'Condition' }
+    ]
+  }, TYPES);
+  const med = kg.nodes.find(n => n.id === '4');
+  assert.equal(med.label, 'Amoxicillin');
+  assert.deepEqual(med.attributes, { route: 'oral' });
+  assert.equal(kg.nodes.find(n => n.id === '2').codes, undefined);
+  assert.deepEqual(entries.map(e => e.before.label), ['Amoxicilin', 'Penicillin allergy']);
+});
+
+test('unknown nodes, types and actions are rejected and nothing is applied', () => {
+  const kg = sessionKg();
+  const bad = [
+    [{ type: 'set_risk_status', node_id: '99', status: 'addressed' }, /Node not found: 99/],
+    [{ type: 'set_risk_status', node_id: '4', status: 'addressed' }, /not a RiskFactor/],
+    [{ type: 'set_risk_status', node_id: '2', status: 'maybe' }, /status must be one of/],
+    [{ type: 'update_node', node_id: '99', label: 'x' }, /Node not found/],
+    [{ type: 'update_node', node_id: '4', node_type: 'Drug' }, /Unknown node type/],
+    [{ type: 'delete_node', node_id: '99' }, /Node not found/],
+    [{ type: 'add_edge', edge: { source: '1', type: 'treats', target: '99' } }, /Node not found/],
+    [{ type: 'delete_edge', edge: { source: '1', type: 'treats', target: '4' } }, /Edge not found/],
+    [{ type: 'rename_everything' }, /Unknown review action/]
+  ];
+  for (const [action, error] of bad) {
+    // A valid action first: the batch is all or nothing
+    assert.throws(() => applyReview(kg, { reviewer: 'Dr. Lee', actions: [{ type: 'delete_node', node_id: '3' }, action] }, TYPES), error);
+  }
+  assert.throws(() => applyReview(kg, { reviewer: '', actions: [{ type: 'delete_node', node_id: '3' }] }, TYPES), /reviewer is required/);
+  assert.throws(() => applyReview(kg, { reviewer: 'Dr. Lee', actions: [] }, TYPES), /No review actions/);
+  assert.deepEqual(kg, sessionKg());
+});
+
+test('review route persists the audit trail', async (t) => {
+  const server = await startServer({ DEIDENTIFY: 'false' });
+  t.after(() => server.stop());
+  const text = await fs.readFile(path.join(ROOT, 'fixtures', 'sample.txt'), 'utf8');
+  const analyzed = await server.request('/analyze', postJson({ text }));
+  assert.equal(analyzed.status, 200);
+  const { session } = await analyzed.json();
+  const file = path.join(server.dir, 'sessions', `${session}.json`);
+  const review = (body, id = session) => server.request(`/sessions/${encodeURIComponent(id)}/review`, postJson(body));
+
+  await t.test('accept, reject and edit are stored in order', async () => {
+    let res = await review({ reviewer: 'Dr. Lee', actions: [{ type: 'set_risk_status', node_id: '6', status: 'addressed' }] });
+    assert.equal(res.status, 200);
+    res = await review({ reviewer: 'Dr. Kim', actions: [{ type: 'delete_node', node_id: '16' }, { type: 'update_node', node_id: '5', label: 'Azithromycin 250 mg' }] });
+    assert.equal(res.status, 200);
+
+    const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.deepEqual(stored.review.log.map(e => [e.reviewer, e.action, e.target]), [
+      ['Dr. Lee', 'set_risk_status', 'node:6'],
+      ['Dr. Kim', 'delete_node', 'node:16'],
+      ['Dr. Kim', 'update_node', 'node:5']
+    ]);
+    assert.deepEqual(stored.review.reviewers, ['Dr. Lee', 'Dr. Kim']);
+    assert.equal(stored.nodes.find(n => n.id === '6').review.decision, 'confirmed');
+    assert.equal(stored.nodes.some(n => n.id === '16'), false);
+    assert.equal(stored.llm_output.nodes.some(n => n.id === '16'), true);
+    assert.equal(stored.nodes.find(n => n.id === '5').label, 'Azithromycin 250 mg');
+
+    const fetched = await (await server.request(`/sessions/${session}`)).json();
+    assert.equal(fetched.review.log.length, 3);
+  });
+
+  await t.test('an unknown node is a 400 and leaves the stored session alone', async () => {
+    const before = await fs.readFile(file, 'utf8');
+    const res = await review({ reviewer: 'Dr. Lee', actions: [{ type: 'update_node', node_id: '5', label: 'x' }, { type: 'set_risk_status', node_id: '999', status: 'addressed' }] });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Node not found: 999/);
+    assert.equal(await fs.readFile(file, 'utf8'), before);
+  });
+
+  await t.test('unknown and invalid session ids', async () => {
+    assert.equal((await review({ reviewer: 'Dr. Lee', actions: [{ type: 'delete_node', node_id: '1' }] }, 'SR-DOES-NOT-EXIST')).status, 404);
+    assert.equal((await review({ reviewer: 'Dr. Lee', actions: [{ type: 'delete_node', node_id: '1' }] }, '../etc')).status, 400);
+  });
+});
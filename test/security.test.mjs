@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { createSecurity, securityConfig, SESSION_COOKIE } from '../scripts/security.mjs';
+
+const config = (env = {}) => securityConfig({ API_KEYS: 'key-one,key-two', SESSION_SECRET: 'secret', ...env });
+const request = (headers = {}, body) => Object.assign(Readable.from(body == null ? [] : [Buffer.from(body)]), { headers, socket: { remoteAddress: '10.0.0.1' } });
+
+test('API keys are accepted as bearer token or x-api-key, anything else is refused', () => {
+  const security = createSecurity(config());
+  assert.equal(security.authenticate(request({ authorization: 'Bearer key-two' })).ok, true);
+  assert.equal(security.authenticate(request({ 'x-api-key': 'key-one' })).ok, true);
+  assert.equal(security.authenticate(request({ authorization: 'Bearer key-three' })).ok, false);
+  assert.equal(security.authenticate(request({ 'x-api-key': '' })).ok, false);
+  assert.equal(security.authenticate(request({})).client, 'ip:10.0.0.1');
+});
+
+test('auth is off without API_KEYS', () => {
+  const security = createSecurity(securityConfig({}));
+  assert.equal(security.authEnabled, false);
+  assert.equal(security.authenticate(request({})).ok, true);
+});
+
+test('session tokens work as bearer and cookie; forged or expired ones do not', () => {
+  const security = createSecurity(config());
+  assert.equal(security.issueSession('wrong'), null);
+  const { token } = security.issueSession('key-one');
+  assert.equal(security.authenticate(request({ authorization: `Bearer ${token}` })).ok, true);
+  assert.equal(security.authenticate(request({ cookie: `other=1; ${SESSION_COOKIE}=${encodeURIComponent(token)}` })).ok, true);
+
+  const [expires, client] = token.split('.');
+  assert.equal(security.authenticate(request({ cookie: `${SESSION_COOKIE}=${expires}.${client}.forged` })).ok, false);
+  const other = createSecurity(config({ SESSION_SECRET: 'another-secret' }));
+  assert.equal(other.authenticate(request({ cookie: `${SESSION_COOKIE}=${token}` })).ok, false);
+  const expired = createSecurity(config({ SESSION_TTL_MINUTES: '-1' }));
+  assert.equal(expired.authenticate(request({ authorization: `Bearer ${expired.issueSession('key-one').token}` })).ok, false);
+});
+
+test('malformed cookies are ignored instead of throwing', () => {
+  const security = createSecurity(config());
+  for (const cookie of [`${SESSION_COOKIE}=%E0`, `${SESSION_COOKIE}=%`, '=%E0', `${SESSION_COOKIE}`, `a=%ZZ; ${SESSION_COOKIE}=%E0%A4%A`]) {
+    assert.doesNotThrow(() => security.authenticate(request({ cookie })), cookie);
+    assert.equal(security.authenticate(request({ cookie })).ok, false, cookie);
+  }
+  const { token } = security.issueSession('key-one');
+  assert.equal(security.authenticate(request({ cookie: `junk=%E0; ${SESSION_COOKIE}=${token}` })).ok, true);
+});
+
+test('origins: same-origin and no Origin pass, others need the allowlist', () => {
+  const security = createSecurity(config({ ALLOWED_ORIGINS: 'https://app.example' }));
+  assert.equal(security.originAllowed(request({})), true);
+  assert.equal(security.originAllowed(request({ origin: 'http://localhost:8080', host: 'localhost:8080' })), true);
+  assert.equal(security.originAllowed(request({ origin: 'https://app.example', host: 'localhost:8080' })), true);
+  assert.equal(security.originAllowed(request({ origin: 'https://evil.example', host: 'localhost:8080' })), false);
+  assert.equal(security.originAllowed(request({ origin: 'null', host: 'localhost:8080' })), false);
+  assert.deepEqual(security.corsHeaders(request({ origin: 'https://evil.example' })), {});
+  assert.equal(security.corsHeaders(request({ origin: 'https://app.example' }))['access-control-allow-origin'], 'https://app.example');
+  const open = createSecurity(config({ ALLOWED_ORIGINS: '*' }));
+  assert.deepEqual(open.corsHeaders(request({ origin: 'https://evil.example' })), { 'access-control-allow-origin': '*' });
+});
+
+test('bodies over the limit get 413, non-JSON bodies 415', async () => {
+  const security = createSecurity(config({ MAX_BODY_BYTES: '16' }));
+  const json = { 'content-type': 'application/json' };
+  assert.equal(await security.readBody(request(json, '{"a":1}')), '{"a":1}');
+  assert.equal(await security.readBody(request({}, '')), '');
+  await assert.rejects(security.readBody(request({ ...json, 'content-length': '17' }, 'x'.repeat(17))), { status: 413 });
+  // A lying or missing content-length is caught while streaming
+  await assert.rejects(security.readBody(request({ ...json, 'content-length': '2' }, 'x'.repeat(64))), { status: 413 });
+  await assert.rejects(security.readBody(request({ 'content-type': 'text/plain' }, 'hello')), { status: 415 });
+  assert.equal(await security.readBody(request({ 'content-type': 'application/fhir+json' }, '{}')), '{}');
+});
+
+test('rate limit and concurrency caps', () => {
+  const security = createSecurity(config({ RATE_LIMIT_PER_MINUTE: '3', MAX_CONCURRENT_PER_CLIENT: '2', MAX_CONCURRENT_LLM: '3' }));
+  const a1 = security.acquire('a');
+  const a2 = security.acquire('a');
+  assert.throws(() => security.acquire('a'), { status: 429 });
+  a1();
+  a1();
+  security.acquire('a')();
+  a2();
+  // Three requests used up a's minute
+  assert.throws(() => security.acquire('a'), err => err.status === 429 && Number(err.headers['retry-after']) > 0);
+
+  const held = [security.acquire('b'), security.acquire('c'), security.acquire('d')];
+  assert.throws(() => security.acquire('e'), { status: 503 });
+  held.forEach(release => release());
+  assert.equal(typeof security.acquire('e'), 'function');
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { saveSession, getSession, listSessions } from '../scripts/sessions.mjs';
+import { ROOT, tempDir, startServer, postJson } from './helpers.mjs';
+
+test('session API input errors', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('malformed percent-encoding in a session id gets 400', async () => {
+    for (const [pathname, init] of [
+      ['/sessions/%E0', {}],
+      ['/sessions/%E0', { method: 'DELETE' }],
+      ['/sessions/%E0/note', {}],
+      ['/sessions/%E0/note', postJson({})],
+      ['/sessions/%E0/review', postJson({ actions: [] })]
+    ]) {
+      const res = await server.request(pathname, init);
+      assert.equal(res.status, 400, `${init.method || 'GET'} ${pathname}`);
+      assert.equal((await res.json()).error, 'Invalid session id');
+    }
+    assert.equal(server.child.exitCode, null);
+    assert.equal((await server.request('/sessions')).status, 200);
+  });
+
+  await t.test('malformed JSON bodies get 400 with the parse error', async () => {
+    for (const pathname of ['/analyze', '/analyze/stream', '/validate', '/import/graphml', '/sessions/SR-X/review', '/auth/session']) {
+      const res = await server.request(pathname, postJson('{"text": "unterminated'));
+      assert.equal(res.status, 400, pathname);
+      assert.match((await res.json()).error, /^Invalid JSON body: /, pathname);
+    }
+  });
+
+  await t.test('unknown sessions get 404', async () => {
+    assert.equal((await server.request('/sessions/SR-MISSING')).status, 404);
+    assert.equal((await server.request('/sessions/SR-MISSING', { method: 'DELETE' })).status, 404);
+  });
+});
+
+test('re-analyzing a record keeps the earlier runs', async () => {
+  const dir = await tempDir();
+  try {
+    const text = 'Session Record ID: SR-RERUN-1\nSession Date: 2025-01-02\nDoctor: Hi.';
+    const first = await saveSession(dir, text, { nodes: [], edges: [], review: { log: [{ action: 'delete_node' }] } });
+    const second = await saveSession(dir, text, { nodes: [], edges: [] });
+    const third = await saveSession(dir, text, { nodes: [], edges: [] });
+    assert.deepEqual([first, second, third].map(r => r.session.id), ['SR-RERUN-1', 'SR-RERUN-1-2', 'SR-RERUN-1-3']);
+    assert.equal((await getSession(dir, 'SR-RERUN-1')).review.log.length, 1);
+
+    // No header: the generated id has one-second resolution, runs in the same second still get their own file
+    const untitled = await Promise.all([1, 2, 3].map(() => saveSession(dir, 'Doctor: Hi.', { nodes: [], edges: [] })));
+    assert.equal(new Set(untitled.map(r => r.session.id)).size, 3);
+    assert.equal((await listSessions(dir)).length, 6);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('analyzing the same transcript twice through the server stores two sessions', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const text = await fs.readFile(path.join(ROOT, 'fixtures', 'sample.txt'), 'utf8');
+  const ids = [];
+  for (let i = 0; i < 2; i++) ids.push((await (await server.request('/analyze', postJson({ text }))).json()).session);
+  assert.notEqual(ids[0], ids[1]);
+  assert.deepEqual((await fs.readdir(path.join(server.dir, 'sessions'))).sort(), ids.map(id => `${id}.json`).sort());
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTerminology, groundKg, labelContext } from '../scripts/terminology.mjs';
+
+const SNOMED = 'http://snomed.info/sct';
+
+function ground(labels){
+  return loadTerminology().then(table => groundKg({
+    nodes: labels.map(([type, label], i) => ({ id: String(i + 1), type, label }))
+  }, table));
+}
+
+test('present findings are coded', async () => {
+  const kg = await ground([['Condition', 'Asthma'], ['Finding', 'Mild expiratory wheeze'], ['Medication', 'Albuteral']]);
+  assert.deepEqual(kg.nodes.map(n => [n.grounding.match, n.codes?.[0]?.display]), [
+    ['exact', 'Asthma'],
+    ['fuzzy', 'Wheezing'],
+    ['fuzzy', 'albuterol']
+  ]);
+  assert.equal(kg.terminology.grounded, 3);
+  assert.deepEqual(kg.terminology.qualified, []);
+});
+
+test('negated, historical and risk labels are not coded', async () => {
+  const kg = await ground([
+    ['Finding', 'No fever'],
+    ['Finding', 'Denies cough'],
+    ['Condition', 'Family history of asthma'],
+    ['Condition', 'Risk of pneumonia'],
+    ['Condition', 'History of pneumonia'],
+    ['Finding', 'Wheezing ruled out'],
+    ['Medication', 'Without albuterol']
+  ]);
+  assert.deepEqual(kg.nodes.map(n => [n.grounding.match, n.grounding.context, n.grounding.candidate.display]), [
+    ['qualified', 'negated', 'Fever'],
+    ['qualified', 'negated', 'Cough'],
+    ['qualified', 'family_history', 'Asthma'],
+    ['qualified', 'risk', 'Pneumonia'],
+    ['qualified', 'history', 'Pneumonia'],
+    ['qualified', 'negated', 'Wheezing'],
+    ['qualified', 'negated', 'albuterol']
+  ]);
+  assert.ok(kg.nodes.every(n => n.codes === undefined));
+  assert.equal(kg.terminology.grounded, 0);
+  assert.deepEqual(kg.terminology.qualified, ['1', '2', '3', '4', '5', '6', '7']);
+});
+
+test('a positive code for a negated label is removed, other codes stay', async () => {
+  const table = await loadTerminology();
+  const kg = groundKg({ nodes: [{ id: '1', type: 'Finding', label: 'No fever', codes: [{ system: SNOMED, code: '386661006' }, { system: 'local', code: 'NF' }] }] }, table);
+  assert.deepEqual(kg.nodes[0].codes, [{ system: 'local', code: 'NF' }]);
+});
+
+test('labelContext only fires on leading (or closing "ruled out") whole-word cues', () => {
+  assert.deepEqual(labelContext('Patient denies chest pain'), { context: 'negated', cue: 'denies', core: 'chest pain' });
+  assert.deepEqual(labelContext('Family history of asthma'), { context: 'family_history', cue: 'family history of', core: 'asthma' });
+  assert.equal(labelContext('Nocturnal cough'), null);
+  assert.equal(labelContext('Knot in the calf'), null);
+  assert.equal(labelContext('Mild asthma exacerbation'), null);
+  assert.equal(labelContext('Cough not improving'), null);
+});
+
+test('"X without complication" is an ordinary coded concept, not a negation', async () => {
+  const kg = await ground([['Condition', 'Asthma without complication'], ['Condition', 'Type 2 diabetes without complications']]);
+  assert.deepEqual(kg.nodes.map(n => [n.grounding.match, n.codes?.[0]?.display]), [
+    ['fuzzy', 'Asthma'],
+    ['fuzzy', 'Type 2 diabetes mellitus']
+  ]);
+  assert.deepEqual(kg.terminology.qualified, []);
+});